@@ -11,6 +11,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const LokiUrlBuilder = require('./loki-url-builder');
+const { FAILURE_RULES, classify } = require('./utils/failure-classifier');
 
 class IntelligentAutoFixer {
     constructor() {
@@ -20,72 +21,23 @@ class IntelligentAutoFixer {
         this.lokiUrl = process.env.LOKI_URL || 'http://localhost:3101';
         this.urlBuilder = new LokiUrlBuilder(this.lokiUrl);
         
-        this.fixPatterns = [
-            {
-                name: 'ESM Import Error Fix',
-                pattern: /Error \[ERR_REQUIRE_ESM\].*require\(\) of ES Module.*@octokit\/rest/,
-                description: 'Fixes CommonJS/ESM compatibility issues with @octokit/rest',
-                severity: 'critical',
-                category: 'pipeline',
-                fix: this.fixESMImportError.bind(this)
-            },
-            {
-                name: 'ChromeDriver Symbolic Link Fix',
-                pattern: /ln: failed to create symbolic link.*chromedriver.*File exists/,
-                description: 'Fixes ChromeDriver symbolic link conflicts in Docker builds',
-                severity: 'critical',
-                category: 'docker',
-                fix: this.fixChromeDriverSymlink.bind(this)
-            },
-            {
-                name: 'Node.js Version Compatibility Fix',
-                pattern: /npm warn EBADENGINE.*required:.*node.*>= 20.*current:.*v18/,
-                description: 'Updates Node.js version for package compatibility',
-                severity: 'high',
-                category: 'environment',
-                fix: this.fixNodeVersionCompatibility.bind(this)
-            },
-            {
-                name: 'Cucumber Execution Fix',
-                pattern: /Cannot find module.*cucumber|npx: installed.*but not found/,
-                description: 'Fixes Cucumber.js execution and module resolution issues',
-                severity: 'high',
-                category: 'regression',
-                fix: this.fixCucumberExecution.bind(this)
-            },
-            {
-                name: 'WebDriver Session Fix',
-                pattern: /WebDriver session.*failed to start|chrome.*not found|chromedriver.*not found/,
-                description: 'Fixes WebDriver and Chrome browser issues',
-                severity: 'high',
-                category: 'regression',
-                fix: this.fixWebDriverSession.bind(this)
-            },
-            {
-                name: 'Package Installation Fix',
-                pattern: /npm ERR!.*ENOENT|npm ERR!.*EACCES|npm install.*failed/,
-                description: 'Fixes npm installation and permission issues',
-                severity: 'medium',
-                category: 'dependencies',
-                fix: this.fixPackageInstallation.bind(this)
-            },
-            {
-                name: 'Loki Connection Fix',
-                pattern: /Failed to push logs to Loki|Connection refused.*3101|ECONNREFUSED.*localhost:3101/,
-                description: 'Fixes Loki connection and log streaming issues',
-                severity: 'medium',
-                category: 'monitoring',
-                fix: this.fixLokiConnection.bind(this)
-            },
-            {
-                name: 'GitHub Actions Workflow Fix',
-                pattern: /workflow.*failed|action.*failed|step.*failed/,
-                description: 'Fixes GitHub Actions workflow execution issues',
-                severity: 'high',
-                category: 'pipeline',
-                fix: this.fixGitHubActionsWorkflow.bind(this)
-            }
-        ];
+        // Fix implementations keyed by the classifier's fix ids
+        this.fixHandlers = {
+            'esm-import': this.fixESMImportError.bind(this),
+            'chromedriver-symlink': this.fixChromeDriverSymlink.bind(this),
+            'node-version': this.fixNodeVersionCompatibility.bind(this),
+            'cucumber-execution': this.fixCucumberExecution.bind(this),
+            'webdriver-session': this.fixWebDriverSession.bind(this),
+            'chrome-setup': this.fixWebDriverSession.bind(this),
+            'npm-install': this.fixPackageInstallation.bind(this),
+            'loki-connection': this.fixLokiConnection.bind(this),
+            'workflow': this.fixGitHubActionsWorkflow.bind(this)
+        };
+
+        // Rules from the shared catalog that this fixer can act on
+        this.fixPatterns = FAILURE_RULES
+            .filter(rule => this.fixHandlers[rule.fixId])
+            .map(rule => ({ ...rule, fix: this.fixHandlers[rule.fixId] }));
         
         this.fixHistory = [];
         this.monitoring = false;
@@ -246,15 +198,8 @@ class IntelligentAutoFixer {
     }
 
     analyzeLogContent(content, source) {
-        const matches = [];
-        
-        for (const pattern of this.fixPatterns) {
-            if (pattern.pattern.test(content)) {
-                matches.push(pattern);
-            }
-        }
-        
-        return matches;
+        const matchedIds = new Set(classify(content).map(match => match.id));
+        return this.fixPatterns.filter(pattern => matchedIds.has(pattern.id));
     }
 
     async processIssues(issues) {
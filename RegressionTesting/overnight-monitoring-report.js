@@ -8,6 +8,10 @@
 import { promises as fs } from 'fs';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { classify } = require('./utils/failure-classifier');
 
 const execAsync = promisify(exec);
 
@@ -152,27 +156,7 @@ class OvernightMonitor {
     }
 
     analyzeFailureLogs(logs) {
-        const issues = [];
-        
-        // Common failure patterns
-        if (logs.includes('Error [ERR_REQUIRE_ESM]')) {
-            issues.push('ESM module compatibility issue');
-        }
-        if (logs.includes('npm warn EBADENGINE')) {
-            issues.push('Node.js version compatibility issue');
-        }
-        if (logs.includes('Chrome not found') || logs.includes('chromium-browser not found')) {
-            issues.push('Chrome/Chromium installation issue');
-        }
-        if (logs.includes('ln: failed to create symbolic link')) {
-            issues.push('Symbolic link creation failure');
-        }
-        if (logs.includes('docker: command not found') || logs.includes('Docker build failed')) {
-            issues.push('Docker setup issue');
-        }
-        if (logs.includes('Connection refused') || logs.includes('ECONNREFUSED')) {
-            issues.push('Service connection issue');
-        }
+        const issues = classify(logs).map(match => match.name);
         
         return issues.length > 0 ? issues : ['Unknown failure - requires manual analysis'];
     }
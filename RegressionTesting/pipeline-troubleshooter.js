@@ -14,6 +14,7 @@ import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
 const LokiUrlBuilder = require('./loki-url-builder');
+const { classify } = require('./utils/failure-classifier');
 
 const execAsync = promisify(exec);
 
@@ -115,15 +116,16 @@ class PipelineTroubleshooter {
         
         this.logger = null; // Will be initialized after modules load
         
+        // Fix implementations keyed by the classifier's fix ids
         this.commonFixes = new Map([
-            ['npm install failed', this.fixNpmInstall.bind(this)],
-            ['Chrome not found', this.fixChromeSetup.bind(this)],
-            ['Selenium timeout', this.fixSeleniumTimeout.bind(this)],
-            ['Kubernetes connection refused', this.fixK8sConnection.bind(this)],
-            ['Docker build failed', this.fixDockerBuild.bind(this)],
-            ['Image pull failed', this.fixImagePull.bind(this)],
-            ['Tests failed', this.fixTestFailures.bind(this)],
-            ['Loki connection failed', this.fixLokiConnection.bind(this)]
+            ['npm-install', this.fixNpmInstall.bind(this)],
+            ['chrome-setup', this.fixChromeSetup.bind(this)],
+            ['selenium-timeout', this.fixSeleniumTimeout.bind(this)],
+            ['k8s-connection', this.fixK8sConnection.bind(this)],
+            ['docker-build', this.fixDockerBuild.bind(this)],
+            ['image-pull', this.fixImagePull.bind(this)],
+            ['test-failures', this.fixTestFailures.bind(this)],
+            ['loki-connection', this.fixLokiConnection.bind(this)]
         ]);
     }
     
@@ -261,6 +263,7 @@ class PipelineTroubleshooter {
     async diagnosePipelineFailure(jobLogs, grafanaLogs) {
         const diagnosis = {
             failureType: 'unknown',
+            fixId: null,
             failedJobs: [],
             errorMessages: [],
             suggestedFixes: [],
@@ -273,22 +276,12 @@ class PipelineTroubleshooter {
             
             const logText = jobData.logs.toLowerCase();
             
-            // Pattern matching for common failures
-            if (logText.includes('npm install') && (logText.includes('error') || logText.includes('failed'))) {
-                diagnosis.failureType = 'npm install failed';
-                diagnosis.confidence = 0.9;
-            } else if (logText.includes('chrome') && logText.includes('not found')) {
-                diagnosis.failureType = 'Chrome not found';
-                diagnosis.confidence = 0.95;
-            } else if (logText.includes('selenium') && logText.includes('timeout')) {
-                diagnosis.failureType = 'Selenium timeout';
-                diagnosis.confidence = 0.8;
-            } else if (logText.includes('connection refused') && logText.includes('8080')) {
-                diagnosis.failureType = 'Kubernetes connection refused';
-                diagnosis.confidence = 0.9;
-            } else if (logText.includes('docker build') && logText.includes('failed')) {
-                diagnosis.failureType = 'Docker build failed';
-                diagnosis.confidence = 0.85;
+            // Keep the most confident catalog match that has a fix available
+            const match = classify(jobData.logs).find(candidate => this.commonFixes.has(candidate.fixId));
+            if (match && match.confidence >= diagnosis.confidence) {
+                diagnosis.failureType = match.name;
+                diagnosis.fixId = match.fixId;
+                diagnosis.confidence = match.confidence;
             }
             
             // Extract specific error messages
@@ -312,11 +305,11 @@ class PipelineTroubleshooter {
     }
 
     async applyAutomatedFixes(diagnosis) {
-        if (this.commonFixes.has(diagnosis.failureType)) {
+        if (this.commonFixes.has(diagnosis.fixId)) {
             this.logger.info(`Applying automated fix for: ${diagnosis.failureType}`);
             
             try {
-                const fixFunction = this.commonFixes.get(diagnosis.failureType);
+                const fixFunction = this.commonFixes.get(diagnosis.fixId);
                 await fixFunction(diagnosis);
                 
                 this.logger.info(`Successfully applied fix for: ${diagnosis.failureType}`);
@@ -0,0 +1,412 @@
+/**
+ * Deterministic failure classifier shared by the pipeline tools and the CI bot.
+ *
+ * Each rule in the catalog declares the pattern it detects, its category,
+ * severity, confidence (0-1) and the id of the fix that addresses it. Consumers
+ * map fix ids to their own fix implementations.
+ */
+
+// Rules that score at or above this confidence are trusted without an LLM
+const SHORT_CIRCUIT_CONFIDENCE = 0.9;
+
+// Generic markers of an error line, used to pre-filter large logs
+const ERROR_LINE_PATTERN = /error|failed|exception|^[a-zA-Z.]+Error:/i;
+
+const FAILURE_RULES = [
+    {
+        id: 'esm-require-octokit',
+        name: 'ESM Import Error',
+        pattern: /Error \[ERR_REQUIRE_ESM\].*require\(\) of ES Module.*@octokit\/rest/,
+        category: 'pipeline',
+        severity: 'critical',
+        confidence: 0.95,
+        fixId: 'esm-import',
+        description: '@octokit/rest is ES module-only and is loaded with require()',
+        remediation: {
+            is_minor: true,
+            fixes: ['Load @octokit/rest with dynamic import() instead of require()'],
+            commands: []
+        }
+    },
+    {
+        id: 'esm-require',
+        name: 'ESM module compatibility issue',
+        pattern: /Error \[ERR_REQUIRE_ESM\]|require\(\) of ES Module/,
+        category: 'pipeline',
+        severity: 'high',
+        confidence: 0.8,
+        fixId: null,
+        description: 'A CommonJS module requires an ES module-only dependency',
+        remediation: {
+            is_minor: false,
+            fixes: ['Pin the dependency to its last CommonJS release in package.json', 'Load the module with dynamic import()'],
+            commands: []
+        }
+    },
+    {
+        id: 'chromedriver-symlink',
+        name: 'ChromeDriver Symbolic Link Conflict',
+        pattern: /ln: failed to create symbolic link.*chromedriver.*File exists/,
+        category: 'docker',
+        severity: 'critical',
+        confidence: 0.95,
+        fixId: 'chromedriver-symlink',
+        description: 'The Docker build fails re-creating an existing ChromeDriver symlink',
+        remediation: {
+            is_minor: true,
+            fixes: ['Use ln -sf for the chromedriver symlink in the Dockerfile'],
+            commands: ['ln -sf "$(which chromedriver)" /usr/local/bin/chromedriver']
+        }
+    },
+    {
+        id: 'node-engine',
+        name: 'Node.js version compatibility issue',
+        pattern: /npm warn EBADENGINE/i,
+        category: 'environment',
+        severity: 'high',
+        confidence: 0.85,
+        fixId: 'node-version',
+        description: 'Installed packages require a newer Node.js version than the runner uses',
+        remediation: {
+            is_minor: true,
+            fixes: ['Update node-version in the workflow yml configuration'],
+            commands: []
+        }
+    },
+    {
+        id: 'cucumber-missing',
+        name: 'Cucumber Execution Failure',
+        pattern: /Cannot find module.*cucumber|npx: installed.*but not found/,
+        category: 'regression',
+        severity: 'high',
+        confidence: 0.85,
+        fixId: 'cucumber-execution',
+        description: 'Cucumber.js cannot be resolved when running the regression suite',
+        remediation: {
+            is_minor: true,
+            fixes: ['Add @cucumber/cucumber as a dependency in package.json'],
+            commands: ['npm install --save-dev @cucumber/cucumber']
+        }
+    },
+    {
+        id: 'webdriver-session',
+        name: 'WebDriver Session Failure',
+        pattern: /WebDriver session.*failed to start/i,
+        category: 'regression',
+        severity: 'high',
+        confidence: 0.85,
+        fixId: 'webdriver-session',
+        description: 'The WebDriver session could not be started',
+        remediation: {
+            is_minor: false,
+            fixes: ['Align the chromedriver package version with the installed Chrome'],
+            commands: []
+        }
+    },
+    {
+        id: 'chrome-missing',
+        name: 'Chrome not found',
+        pattern: /(chrome|chromium-browser|chromedriver)\b.*not found/i,
+        category: 'regression',
+        severity: 'high',
+        confidence: 0.9,
+        fixId: 'chrome-setup',
+        description: 'Chrome or ChromeDriver is not installed on the runner',
+        remediation: {
+            is_minor: true,
+            fixes: ['Add a Chrome setup step to the workflow yml configuration'],
+            commands: []
+        }
+    },
+    {
+        id: 'npm-install',
+        name: 'npm install failed',
+        pattern: /npm ERR!.*(ENOENT|EACCES)|npm (install|ci)\b.*(failed|error)/i,
+        category: 'dependencies',
+        severity: 'medium',
+        confidence: 0.75,
+        fixId: 'npm-install',
+        description: 'Installing npm dependencies failed',
+        remediation: {
+            is_minor: true,
+            fixes: ['Clear the npm cache for the failing job'],
+            commands: ['npm cache clean --force', 'npm ci']
+        }
+    },
+    {
+        id: 'npm-unresolved-version',
+        name: 'Unresolvable dependency version',
+        pattern: /npm ERR! code (E404|ETARGET)|No matching version found/i,
+        category: 'dependencies',
+        severity: 'high',
+        confidence: 0.7,
+        fixId: 'dependency-version',
+        description: 'A dependency version could not be resolved from the registry',
+        remediation: {
+            is_minor: true,
+            fixes: ['Update the unresolvable dependency version in package.json'],
+            commands: ['npm view <package> versions', 'npm install <package>@latest']
+        }
+    },
+    {
+        id: 'npm-peer-conflict',
+        name: 'Peer dependency conflict',
+        pattern: /npm ERR! code ERESOLVE|peer dep(endency)? conflict/i,
+        category: 'dependencies',
+        severity: 'high',
+        confidence: 0.7,
+        fixId: 'dependency-version',
+        description: 'Conflicting peer dependencies prevent installation',
+        remediation: {
+            is_minor: true,
+            fixes: ['Align conflicting dependency versions in package.json'],
+            commands: ['npm install --legacy-peer-deps']
+        }
+    },
+    {
+        id: 'cache-corrupted',
+        name: 'Corrupted dependency cache',
+        pattern: /EINTEGRITY|integrity checksum failed|Cache (restore|save) failed|corrupt(ed)? cache/i,
+        category: 'dependencies',
+        severity: 'medium',
+        confidence: 0.8,
+        fixId: 'clear-cache',
+        description: 'The restored dependency cache is corrupted',
+        remediation: {
+            is_minor: true,
+            fixes: ['Clear the npm cache for the failing job'],
+            commands: ['npm cache clean --force']
+        }
+    },
+    {
+        id: 'module-not-found',
+        name: 'Missing module',
+        pattern: /Cannot find module|Module not found|ERR_MODULE_NOT_FOUND/,
+        category: 'dependencies',
+        severity: 'high',
+        confidence: 0.6,
+        fixId: 'dependency-version',
+        description: 'A required module is missing from the installed dependencies',
+        remediation: {
+            is_minor: true,
+            fixes: ['Add the missing dependency to package.json'],
+            commands: ['npm install <module>']
+        }
+    },
+    {
+        id: 'env-missing',
+        name: 'Missing environment variable',
+        pattern: /(environment variable|env var)[^\n]*(not set|missing|undefined)|is not defined in the environment/i,
+        category: 'environment',
+        severity: 'high',
+        confidence: 0.6,
+        fixId: 'workflow-env',
+        description: 'A required environment variable is not set',
+        remediation: {
+            is_minor: true,
+            fixes: ['Define the missing environment variable in the workflow env block'],
+            commands: []
+        }
+    },
+    {
+        id: 'workflow-syntax',
+        name: 'Invalid workflow file',
+        pattern: /yaml[^\n]*(syntax|parse) error|Invalid workflow file/i,
+        category: 'pipeline',
+        severity: 'high',
+        confidence: 0.7,
+        fixId: 'workflow-config',
+        description: 'The workflow file contains invalid YAML or workflow syntax',
+        remediation: {
+            is_minor: true,
+            fixes: ['Fix the workflow YAML configuration syntax'],
+            commands: []
+        }
+    },
+    {
+        id: 'selenium-timeout',
+        name: 'Selenium timeout',
+        pattern: /selenium.*time(d)? ?out|time(d)? ?out.*selenium/i,
+        category: 'regression',
+        severity: 'medium',
+        confidence: 0.8,
+        fixId: 'selenium-timeout',
+        description: 'Selenium timed out waiting for the browser',
+        remediation: {
+            is_minor: false,
+            fixes: ['Increase Selenium wait timeouts in the test configuration'],
+            commands: []
+        }
+    },
+    {
+        id: 'job-timeout',
+        name: 'Job timeout',
+        pattern: /has exceeded the maximum execution time|The operation was canceled/i,
+        category: 'pipeline',
+        severity: 'medium',
+        confidence: 0.6,
+        fixId: null,
+        description: 'The job exceeded its time limit',
+        remediation: {
+            is_minor: false,
+            fixes: ['Increase timeout-minutes for the job or speed up the slow step'],
+            commands: []
+        }
+    },
+    {
+        id: 'permission-denied',
+        name: 'Permission denied',
+        pattern: /Permission denied|EACCES|Resource not accessible by integration/,
+        category: 'environment',
+        severity: 'high',
+        confidence: 0.6,
+        fixId: null,
+        description: 'The job lacks permissions for a file or GitHub resource',
+        remediation: {
+            is_minor: false,
+            fixes: ['Grant the required permissions in the workflow permissions block'],
+            commands: []
+        }
+    },
+    {
+        id: 'k8s-connection',
+        name: 'Kubernetes connection refused',
+        pattern: /connection refused.*:8080|:8080.*connection refused/i,
+        category: 'infrastructure',
+        severity: 'high',
+        confidence: 0.9,
+        fixId: 'k8s-connection',
+        description: 'kubectl cannot reach the Kubernetes API server',
+        remediation: {
+            is_minor: false,
+            fixes: ['Configure the kubeconfig for the cluster before kubectl steps'],
+            commands: ['kubectl config view']
+        }
+    },
+    {
+        id: 'loki-connection',
+        name: 'Loki Connection Failure',
+        pattern: /Failed to push logs to Loki|Connection refused.*3101|ECONNREFUSED.*localhost:3101/,
+        category: 'monitoring',
+        severity: 'medium',
+        confidence: 0.85,
+        fixId: 'loki-connection',
+        description: 'Logs cannot be pushed to Loki',
+        remediation: {
+            is_minor: false,
+            fixes: ['Start Loki or correct LOKI_URL in the environment'],
+            commands: []
+        }
+    },
+    {
+        id: 'service-connection',
+        name: 'Service connection issue',
+        pattern: /Connection refused|ECONNREFUSED/,
+        category: 'infrastructure',
+        severity: 'medium',
+        confidence: 0.5,
+        fixId: null,
+        description: 'A service the job depends on refused the connection',
+        remediation: {
+            is_minor: false,
+            fixes: ['Check that dependent services are started before the step runs'],
+            commands: []
+        }
+    },
+    {
+        id: 'docker-build',
+        name: 'Docker build failed',
+        pattern: /docker build.*failed|Docker build failed|failed to solve/i,
+        category: 'docker',
+        severity: 'high',
+        confidence: 0.85,
+        fixId: 'docker-build',
+        description: 'The Docker image build failed',
+        remediation: {
+            is_minor: false,
+            fixes: ['Fix the failing Dockerfile instruction'],
+            commands: []
+        }
+    },
+    {
+        id: 'docker-missing',
+        name: 'Docker setup issue',
+        pattern: /docker: command not found|Cannot connect to the Docker daemon/,
+        category: 'docker',
+        severity: 'high',
+        confidence: 0.8,
+        fixId: null,
+        description: 'Docker is not available on the runner',
+        remediation: {
+            is_minor: false,
+            fixes: ['Run the job on a runner with Docker installed'],
+            commands: []
+        }
+    },
+    {
+        id: 'workflow-step',
+        name: 'GitHub Actions Workflow Failure',
+        pattern: /workflow.*failed|action.*failed|step.*failed/,
+        category: 'pipeline',
+        severity: 'high',
+        confidence: 0.3,
+        fixId: 'workflow',
+        description: 'A workflow step failed without a more specific known cause',
+        remediation: {
+            is_minor: false,
+            fixes: ['Manual investigation required'],
+            commands: []
+        }
+    }
+];
+
+// Match log text against the catalog; returns matching rules (plus the first
+// matching line) ordered by confidence
+function classify(logs) {
+    const text = typeof logs === 'string' ? logs : String(logs || '');
+    const lines = text.split('\n');
+    const matches = [];
+
+    for (const rule of FAILURE_RULES) {
+        const line = lines.find(candidate => rule.pattern.test(candidate));
+        if (line !== undefined) {
+            matches.push({ ...rule, line: line.trim() });
+        }
+    }
+
+    return matches.sort((a, b) => b.confidence - a.confidence);
+}
+
+// Whether a log line is worth keeping when reducing logs for analysis
+function isErrorLine(line) {
+    return ERROR_LINE_PATTERN.test(line) || FAILURE_RULES.some(rule => rule.pattern.test(line));
+}
+
+// Convert a classifier match into the CI bot's analysis format (confidence 1-10)
+function toAnalysis(match) {
+    return {
+        root_cause: match.description,
+        is_minor: match.remediation.is_minor,
+        fixes: [...match.remediation.fixes],
+        commands: [...match.remediation.commands],
+        confidence: Math.max(1, Math.round(match.confidence * 10)),
+        log_quality: 'good',
+        failing_step: null,
+        file_references: [],
+        classification: {
+            rule_id: match.id,
+            category: match.category,
+            severity: match.severity,
+            fix_id: match.fixId,
+            line: match.line
+        }
+    };
+}
+
+module.exports = {
+    FAILURE_RULES,
+    SHORT_CIRCUIT_CONFIDENCE,
+    classify,
+    isErrorLine,
+    toAnalysis
+};
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import Cli from '../src/cli.js';
+
+dotenv.config();
+
+// Exit explicitly; an embedded bot may keep timers and connections open
+new Cli().run(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,20 @@
+// Central bot configuration
+
+export default {
+    // Workflow dispatched by triggerPipeline, per "owner/repo" with a fallback under "default".
+    // allowedInputs limits which workflow_dispatch inputs callers may set (null allows all).
+    pipelines: {
+        default: {
+            workflow: 'release.yml',
+            ref: 'main',
+            allowedInputs: null
+        }
+    },
+
+    // Central settings layered around each repository's .github/ci-bot.yml:
+    // "defaults" apply unless the file sets a value, "repositories" entries always win
+    repoConfig: {
+        defaults: {},
+        repositories: {}
+    }
+};
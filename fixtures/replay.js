@@ -0,0 +1,127 @@
+// Replay a recorded Slack or Teams request against a running bot:
+//   node fixtures/replay.js fixtures/slack/slash-command-help.json
+// Slack requests are signed with SLACK_SIGNING_SECRET like Slack does. The fixture's
+// response_url and serviceUrl are pointed at a local listener, so answers posted
+// there are printed as well. Teams fixtures need the bot started with
+// TEAMS_ALLOW_UNAUTHENTICATED=true, since Bot Framework tokens cannot be recorded.
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const BOT_URL = process.env.BOT_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Answers posted to the listener are awaited this long
+const WAIT_MS = Number(process.env.REPLAY_WAIT_MS) || 30000;
+
+// Point callback URLs anywhere in the fixture at the listener
+function redirectCallbacks(value, listenerUrl) {
+    if (Array.isArray(value)) {
+        return value.map(item => redirectCallbacks(item, listenerUrl));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            ['response_url', 'serviceUrl'].includes(key) ? `${listenerUrl}/` : redirectCallbacks(item, listenerUrl)
+        ]));
+    }
+    return value;
+}
+
+// Encode the body as sent by the platform; Slack sends interaction payloads as a JSON form field
+function encodeBody(fixture) {
+    if (fixture.contentType !== 'application/x-www-form-urlencoded') {
+        return JSON.stringify(fixture.body);
+    }
+    return new URLSearchParams(Object.entries(fixture.body).map(([key, value]) => [
+        key,
+        typeof value === 'object' ? JSON.stringify(value) : String(value)
+    ])).toString();
+}
+
+function signSlackRequest(body) {
+    const secret = process.env.SLACK_SIGNING_SECRET;
+    if (!secret) {
+        throw new Error('SLACK_SIGNING_SECRET must be set to replay Slack fixtures');
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+    return {
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': `v0=${signature}`
+    };
+}
+
+// Print everything posted to the listener; resolves with the first callback's body
+function startListener() {
+    let received;
+    const callback = new Promise(resolve => {
+        received = resolve;
+    });
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            console.log(`\n⬅️  ${req.method} ${req.url}`);
+            console.log(JSON.stringify(JSON.parse(body || '{}'), null, 2));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, id: 'replayed' }));
+            received(body);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, () => resolve({ server, callback, url: `http://localhost:${server.address().port}` }));
+    });
+}
+
+async function replay(path) {
+    const fixture = JSON.parse(fs.readFileSync(path, 'utf8'));
+    const listener = await startListener();
+    const redirected = { ...fixture, body: redirectCallbacks(fixture.body, listener.url) };
+    const body = encodeBody(redirected);
+
+    console.log(`➡️  POST ${fixture.path}: ${fixture.description}`);
+    const response = await axios.post(`${BOT_URL}${fixture.path}`, body, {
+        headers: {
+            'Content-Type': fixture.contentType,
+            ...(fixture.path.startsWith('/slack/') ? signSlackRequest(body) : {})
+        },
+        validateStatus: () => true
+    });
+    console.log(`\n${response.status} ${JSON.stringify(response.data, null, 2)}`);
+
+    // Answers already in the response need no callback; Events API answers go to Slack itself
+    const hasCallbackUrl = /"(response_url|serviceUrl)"/.test(JSON.stringify(fixture.body));
+    const expectsCallback = hasCallbackUrl && response.status === 200 && !(response.data && response.data.blocks);
+    if (expectsCallback) {
+        console.log(`\nWaiting up to ${WAIT_MS / 1000}s for the answer...`);
+        const timeout = new Promise(resolve => setTimeout(resolve, WAIT_MS, null));
+        if (!(await Promise.race([listener.callback, timeout]))) {
+            console.log('No answer received');
+        }
+    } else if (fixture.body.type === 'event_callback') {
+        console.log('\nEvent answers are posted with chat.postMessage and need SLACK_BOT_TOKEN.');
+    }
+
+    listener.server.close();
+}
+
+if (!process.argv[2]) {
+    console.error('Usage: node fixtures/replay.js <fixture.json>');
+    process.exit(1);
+}
+
+replay(process.argv[2])
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Replay failed:', error.message);
+        process.exit(1);
+    });
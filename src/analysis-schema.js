@@ -0,0 +1,89 @@
+import Ajv from 'ajv';
+
+// JSON Schema for the failure analysis returned by PipelineResolver.analyzeFailure
+const ANALYSIS_SCHEMA = {
+    type: 'object',
+    required: ['root_cause', 'is_minor', 'fixes', 'confidence'],
+    properties: {
+        root_cause: { type: 'string', minLength: 1 },
+        is_minor: { type: 'boolean' },
+        fixes: { type: 'array', items: { type: 'string' } },
+        commands: { type: 'array', items: { type: 'string' }, default: [] },
+        confidence: { type: 'integer', minimum: 1, maximum: 10 },
+        log_quality: { enum: ['good', 'partial', 'corrupted'], default: 'partial' },
+        failing_step: { type: ['string', 'null'], default: null },
+        file_references: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                required: ['path'],
+                properties: {
+                    path: { type: 'string' },
+                    line: { type: ['integer', 'null'] }
+                }
+            }
+        },
+        failure_reason: { type: 'string' },
+        classification: {
+            type: 'object',
+            required: ['rule_id'],
+            properties: {
+                rule_id: { type: 'string' },
+                category: { type: 'string' },
+                severity: { type: 'string' },
+                fix_id: { type: ['string', 'null'] },
+                line: { type: 'string' }
+            }
+        }
+    }
+};
+
+// JSON Schema for the file edits returned by PipelineResolver.generateFileChange
+const FILE_CHANGE_SCHEMA = {
+    type: 'object',
+    required: ['changed'],
+    properties: {
+        changed: { type: 'boolean' },
+        content: { type: 'string' }
+    },
+    if: { properties: { changed: { const: true } } },
+    then: { required: ['content'] }
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validateAnalysis = ajv.compile(ANALYSIS_SCHEMA);
+const validateFileChange = ajv.compile(FILE_CHANGE_SCHEMA);
+
+// Parse a model reply and validate it, filling defaults for optional fields.
+// Returns { value, errors } where errors is empty when the reply is valid.
+function parseReply(content, validate) {
+    let value;
+    try {
+        // Models occasionally wrap JSON in markdown fences despite instructions
+        value = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+        return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    if (!validate(value)) {
+        const errors = validate.errors.map(error =>
+            `${error.instancePath || '/'} ${error.message}`
+        );
+        return { value: null, errors };
+    }
+
+    return { value, errors: [] };
+}
+
+function parseAnalysis(content) {
+    const { value, errors } = parseReply(content, validateAnalysis);
+    return { analysis: value, errors };
+}
+
+function parseFileChange(content) {
+    const { value, errors } = parseReply(content, validateFileChange);
+    return { change: value, errors };
+}
+
+export { ANALYSIS_SCHEMA, FILE_CHANGE_SCHEMA, parseAnalysis, parseFileChange };
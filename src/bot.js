@@ -1,79 +1,330 @@
-import { Octokit } from '@octokit/rest';
-import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { MemoryStore } from './store.js';
+import GitHubAuth from './github-auth.js';
+import { isTransientError } from './errors.js';
+import FailureReporter, { CHECK_NAME, REANALYZE_ACTION } from './failure-reporter.js';
+import ReleaseTracker from './release-tracker.js';
+import JobTracker from './job-tracker.js';
+import { parseDispatchInputs, validateDispatchInputs } from './workflow-inputs.js';
+import RepoConfigLoader, { isWatchedWorkflow, matchesBranch } from './repo-config.js';
+import { parseSlashCommands } from './slash-commands.js';
+
+// Tracked runs are kept for a week so the store does not grow unbounded
+const RUN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// What to do when a workflow run fails
+const FAILURE_POLICIES = ['notify', 'auto_fix', 'auto_fix_rerun'];
+
+// Automatic reruns stop once a run reaches this attempt number
+const MAX_AUTO_RERUN_ATTEMPTS = 2;
+
+// Workflow dispatched by triggerPipeline when no pipeline config is given
+const DEFAULT_PIPELINE = { workflow: 'release.yml', ref: 'main', allowedInputs: null };
 
 class GitHubBot {
     constructor(config) {
-        this.octokit = new Octokit({
-            auth: config.token,
+        // Anything with log, warn and error; the CLI passes one that keeps the terminal quiet
+        this.logger = config.logger || console;
+        this.store = config.store || new MemoryStore();
+        // Personal access token or GitHub App installations
+        this.github = config.github || new GitHubAuth({ token: config.token, store: this.store });
+        this.activeRuns = this.store.collection('runs', { ttl: RUN_TTL_MS });
+        this.resolver = config.resolver || null;
+        // Open pull requests by head SHA, so runs from forks can be tied to them
+        this.pullRequests = this.store.collection('pull-requests', { ttl: RUN_TTL_MS });
+        this.reporter = new FailureReporter(this.github, { pullRequests: this.pullRequests, logger: this.logger });
+        this.releases = new ReleaseTracker(this.store);
+        this.jobs = new JobTracker(this.store);
+        this.pipelines = config.pipelines || {};
+        this.repoConfig = new RepoConfigLoader(this.github, this.store, {
+            overrides: config.repoConfig,
+            reporter: this.reporter
         });
-        this.webhookSecret = config.webhookSecret;
-        this.activeRuns = new Map();
+        // Runs "/ci-bot" comment commands; attached once the chat interface exists
+        this.slashCommands = config.slashCommands || null;
+
+        this.failurePolicy = config.failurePolicy || 'notify';
+        if (!FAILURE_POLICIES.includes(this.failurePolicy)) {
+            this.logger.warn(`Unknown failure policy "${this.failurePolicy}", falling back to notify`);
+            this.failurePolicy = 'notify';
+        }
+    }
+
+    // Dispatch a verified webhook delivery; errors propagate so the queue can retry
+    async handleEvent(event, payload) {
+        this.logger.log(`Processing ${event} event`);
+
+        // App webhooks name their installation; remember it so API calls use its token
+        if (this.github.isApp && payload.installation && payload.repository) {
+            await this.github.addRepositories(payload.installation.id, [payload.repository]);
+        }
+
+        switch (event) {
+            case 'installation':
+                await this.handleInstallationEvent(payload);
+                break;
+            case 'installation_repositories':
+                await this.handleInstallationRepositoriesEvent(payload);
+                break;
+            case 'push':
+                await this.handlePushEvent(payload);
+                break;
+            case 'workflow_run':
+                await this.handleWorkflowEvent(payload);
+                break;
+            case 'workflow_job':
+                await this.handleWorkflowJobEvent(payload);
+                break;
+            case 'pull_request':
+                await this.handlePullRequestEvent(payload);
+                break;
+            case 'check_run':
+                await this.handleCheckRunEvent(payload);
+                break;
+            case 'check_suite':
+                await this.handleCheckSuiteEvent(payload);
+                break;
+            case 'deployment':
+                await this.handleDeploymentEvent(payload);
+                break;
+            case 'deployment_status':
+                await this.handleDeploymentStatusEvent(payload);
+                break;
+            case 'issue_comment':
+                await this.handleIssueCommentEvent(payload);
+                break;
+            default:
+                this.logger.log(`Unhandled event: ${event}`);
+        }
+    }
+
+    // Read-only description of what handleEvent would do with a delivery, for dry runs
+    async planEvent(event, payload) {
+        const { action, repository } = payload;
+        const owner = repository && repository.owner.login;
+
+        switch (event) {
+            case 'installation':
+            case 'installation_repositories':
+                return [`Update the repositories served by installation ${payload.installation.id} (${action})`];
+            case 'push': {
+                const branch = payload.ref.replace('refs/heads/', '');
+                if (!payload.ref.startsWith('refs/heads/') || payload.deleted) {
+                    return [];
+                }
+                const config = await this.repoConfig.load(owner, repository.name, payload.after, { dryRun: true });
+                if (!matchesBranch(config.release.branches, branch)) {
+                    return [];
+                }
+                const pipeline = this.getPipelineConfig(owner, repository.name);
+                return [`Dispatch ${config.release.workflow || pipeline.workflow} on ${repository.full_name}@${branch}`];
+            }
+            case 'workflow_run': {
+                const run = payload.workflow_run;
+                if (action === 'requested') {
+                    return [`Track run ${run.id} of ${run.name}`];
+                }
+                if (action !== 'completed') {
+                    return [];
+                }
+
+                const actions = [`Record run ${run.id} of ${run.name} as ${run.conclusion}`];
+                const config = await this.repoConfig.load(owner, repository.name, run.head_sha, { dryRun: true });
+                if (!isWatchedWorkflow(config, run)) {
+                    return actions;
+                }
+
+                const policy = config.failures.policy || this.failurePolicy;
+                if (run.conclusion === 'failure' && this.resolver) {
+                    actions.push(`Analyze the failure and report it on ${run.head_sha.slice(0, 7)}`);
+                    if (policy !== 'notify') {
+                        actions.push(`Attempt fixes with confidence >= ${config.failures.auto_fix_min_confidence} (policy ${policy})`);
+                    }
+                    if (policy === 'auto_fix_rerun') {
+                        const jobs = config.failures.rerun_jobs === 'failed' ? 'the failed jobs' : 'the workflow';
+                        actions.push(`Rerun ${jobs} if a fix allows it${config.failures.rerun_debug_logging ? ', with debug logging' : ''}`);
+                    }
+                } else if (run.conclusion === 'success') {
+                    actions.push('Mark earlier failure comments on its pull requests as resolved');
+                }
+                return actions;
+            }
+            case 'workflow_job':
+                return [`Record job ${payload.workflow_job.name} of run ${payload.workflow_job.run_id} as ${payload.workflow_job.status}`];
+            case 'pull_request':
+                return [`Associate runs of ${payload.pull_request.head.sha.slice(0, 7)} with #${payload.number} (${action})`];
+            case 'check_run':
+                return this.isReanalysisRequest(payload)
+                    ? [`Analyze run ${payload.check_run.external_id} again`]
+                    : [];
+            case 'check_suite':
+                return action === 'rerequested'
+                    ? [`Analyze the failed runs of check suite ${payload.check_suite.id} again`]
+                    : [];
+            case 'deployment':
+            case 'deployment_status':
+                return [`Record deployment ${payload.deployment.id} to ${payload.deployment.environment} for releases of ${payload.deployment.ref}`];
+            case 'issue_comment':
+                return parseSlashCommands(payload.comment.body).map(command => `Run ${command}`);
+            default:
+                return [];
+        }
     }
 
-    verifySignature(payload, signature) {
-        if (!this.webhookSecret) {
-            console.warn('No webhook secret configured');
-            return true;
+    async handlePullRequestEvent(payload) {
+        const { action, number, pull_request: pullRequest, repository } = payload;
+        const key = `${repository.full_name}@${pullRequest.head.sha}`;
+
+        if (['opened', 'synchronize', 'reopened'].includes(action)) {
+            await this.pullRequests.set(key, {
+                number,
+                head_sha: pullRequest.head.sha,
+                head_ref: pullRequest.head.ref,
+                base_ref: pullRequest.base.ref,
+                fork: pullRequest.head.repo ? pullRequest.head.repo.full_name !== repository.full_name : false
+            });
+            this.logger.log(`Tracking ${pullRequest.head.sha.slice(0, 7)} as #${number} in ${repository.full_name}`);
+        } else if (action === 'closed') {
+            await this.pullRequests.delete(key);
         }
-        const hmac = crypto.createHmac('sha256', this.webhookSecret);
-        const digest = 'sha256=' + hmac.update(payload).digest('hex');
-        return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(digest));
     }
 
-    async handleWebhook(req, res) {
-        const signature = req.headers['x-hub-signature-256'];
-        const event = req.headers['x-github-event'];
-        const payload = req.body;
+    // "Re-run" on the analysis check run, or its "Re-run analysis" button
+    isReanalysisRequest(payload) {
+        const { action, check_run: checkRun, requested_action: requestedAction } = payload;
+        if (checkRun.name !== CHECK_NAME || !checkRun.external_id) {
+            return false;
+        }
+
+        return action === 'rerequested' ||
+            (action === 'requested_action' && requestedAction && requestedAction.identifier === REANALYZE_ACTION.identifier);
+    }
+
+    async handleCheckRunEvent(payload) {
+        if (!this.isReanalysisRequest(payload)) {
+            return;
+        }
+
+        const { repository, check_run: checkRun } = payload;
+        await this.reanalyzeRun(repository, Number(checkRun.external_id));
+    }
 
-        if (!this.verifySignature(JSON.stringify(payload), signature)) {
-            return res.status(401).send('Unauthorized');
+    async handleCheckSuiteEvent(payload) {
+        const { action, check_suite: checkSuite, repository } = payload;
+        if (action !== 'rerequested') {
+            return;
         }
 
-        console.log(`Processing ${event} event`);
+        const owner = repository.owner.login;
+        const octokit = await this.github.getOctokit(owner, repository.name);
+        const { data } = await octokit.checks.listForSuite({
+            owner,
+            repo: repository.name,
+            check_suite_id: checkSuite.id,
+            check_name: CHECK_NAME
+        });
 
-        try {
-            switch (event) {
-                case 'push':
-                    await this.handlePushEvent(payload);
-                    break;
-                case 'workflow_run':
-                    await this.handleWorkflowEvent(payload);
-                    break;
-                case 'workflow_job':
-                    await this.handleWorkflowJobEvent(payload);
-                    break;
-                default:
-                    console.log(`Unhandled event: ${event}`);
-            }
-
-            res.status(200).send('OK');
-        } catch (error) {
-            console.error('Webhook handling error:', error);
-            res.status(500).send('Internal Server Error');
+        for (const checkRun of data.check_runs.filter(item => item.external_id)) {
+            await this.reanalyzeRun(repository, Number(checkRun.external_id));
         }
     }
 
+    async reanalyzeRun(repository, runId) {
+        const workflowRun = await this.getWorkflowRun(repository.owner.login, repository.name, runId);
+
+        this.logger.log(`Re-running analysis of ${workflowRun.name} run ${runId}`);
+        return this.handleWorkflowFailure(workflowRun, repository, { reanalyze: true });
+    }
+
+    async handleDeploymentEvent(payload) {
+        const { deployment, repository } = payload;
+        const release = await this.releases.recordDeployment(repository.full_name, deployment);
+
+        this.logger.log(`Deployment ${deployment.id} to ${deployment.environment} in ${repository.full_name}` +
+            (release ? ` belongs to release ${release.id}` : ' was not triggered by the bot'));
+    }
+
+    async handleDeploymentStatusEvent(payload) {
+        const { deployment, deployment_status: deploymentStatus, repository } = payload;
+        const release = await this.releases.recordDeploymentStatus(repository.full_name, deployment, deploymentStatus);
+
+        if (release) {
+            this.logger.log(`Release ${release.id} ${release.status} (${deployment.environment}: ${deploymentStatus.state})`);
+        }
+    }
+
+    async handleIssueCommentEvent(payload) {
+        const { action, comment, issue, repository } = payload;
+        if (action !== 'created' || comment.user.type === 'Bot') {
+            return;
+        }
+
+        if (!this.slashCommands) {
+            for (const command of parseSlashCommands(comment.body)) {
+                this.logger.log(`Ignoring slash command from ${comment.user.login} on ${repository.full_name}#${issue.number}: ${command}`);
+            }
+            return;
+        }
+
+        await this.slashCommands.handle(payload);
+    }
+
+    async handleInstallationEvent(payload) {
+        const { action, installation } = payload;
+        this.logger.log(`Installation ${installation.id} ${action} for ${installation.account.login}`);
+
+        switch (action) {
+            case 'created':
+                await this.github.addRepositories(installation.id, payload.repositories || []);
+                break;
+            case 'deleted':
+            case 'suspend':
+                await this.github.removeInstallation(installation.id);
+                break;
+            case 'unsuspend':
+            case 'new_permissions_accepted':
+                await this.github.syncInstallation(installation.id);
+                break;
+            default:
+                break;
+        }
+    }
+
+    async handleInstallationRepositoriesEvent(payload) {
+        const { installation, repositories_added: added, repositories_removed: removed } = payload;
+        this.logger.log(`Installation ${installation.id}: ${added.length} repositories added, ${removed.length} removed`);
+
+        await this.github.addRepositories(installation.id, added);
+        await this.github.removeRepositories(removed);
+    }
+
     async handlePushEvent(payload) {
-        const { repository, ref, commits } = payload;
+        const { repository, ref, after, deleted } = payload;
 
-        if (ref === 'refs/heads/main' || ref === 'refs/heads/master') {
-            console.log(`Push to ${ref} detected in ${repository.full_name}`);
+        if (!ref.startsWith('refs/heads/') || deleted) {
+            return;
+        }
+
+        const branch = ref.replace('refs/heads/', '');
+        const owner = repository.owner.login;
+        const config = await this.repoConfig.load(owner, repository.name, after);
+
+        if (matchesBranch(config.release.branches, branch)) {
+            this.logger.log(`Push to ${ref} detected in ${repository.full_name}`);
 
             const artifactId = this.generateArtifactId();
-            console.log(`Generated artifact ID: ${artifactId}`);
+            this.logger.log(`Generated artifact ID: ${artifactId}`);
 
             try {
-                const result = await this.triggerPipeline(
-                    repository.owner.login,
-                    repository.name,
-                    ref.replace('refs/heads/', ''),
+                const result = await this.triggerPipeline(owner, repository.name, {
+                    workflow: config.release.workflow || undefined,
+                    ref: branch,
                     artifactId
-                );
+                });
 
-                console.log('Pipeline triggered successfully:', result);
+                this.logger.log('Pipeline triggered successfully:', result);
             } catch (error) {
-                console.error('Failed to trigger pipeline:', error);
+                this.logger.error('Failed to trigger pipeline:', error);
             }
         }
     }
@@ -81,87 +332,279 @@ class GitHubBot {
     async handleWorkflowEvent(payload) {
         const { action, workflow_run, repository } = payload;
 
-        console.log(`Workflow ${workflow_run.name} ${action} in ${repository.full_name}`);
+        this.logger.log(`Workflow ${workflow_run.name} ${action} in ${repository.full_name}`);
 
         if (action === 'requested') {
-            this.activeRuns.set(workflow_run.id, {
+            // Reruns keep the run id; keep what is known about earlier attempts
+            const previous = await this.activeRuns.get(workflow_run.id);
+            await this.activeRuns.set(workflow_run.id, {
+                ...previous,
                 id: workflow_run.id,
                 name: workflow_run.name,
                 status: 'in_progress',
+                attempt: workflow_run.run_attempt || 1,
                 repository: repository.full_name,
-                started_at: new Date()
+                started_at: new Date().toISOString()
             });
         } else if (action === 'completed') {
-            const run = this.activeRuns.get(workflow_run.id);
-            if (run) {
-                run.status = workflow_run.conclusion;
-                run.completed_at = new Date();
+            // Runs that started before the bot booted have no stored record yet
+            const run = (await this.activeRuns.get(workflow_run.id)) || {
+                id: workflow_run.id,
+                name: workflow_run.name,
+                repository: repository.full_name,
+                started_at: workflow_run.run_started_at || workflow_run.created_at
+            };
+            run.status = workflow_run.conclusion;
+            run.completed_at = new Date().toISOString();
+            run.pull_requests = await this.reporter.getPullRequestNumbers(
+                repository.owner.login,
+                repository.name,
+                workflow_run
+            );
+            await this.activeRuns.set(workflow_run.id, run);
+            await this.jobs.closeRun(workflow_run.id);
 
-                console.log(`Workflow completed with status: ${workflow_run.conclusion}`);
+            this.logger.log(`Workflow completed with status: ${workflow_run.conclusion}`);
 
-                if (workflow_run.conclusion === 'failure') {
-                    await this.handleWorkflowFailure(workflow_run, repository);
+            if (workflow_run.conclusion === 'failure') {
+                await this.handleWorkflowFailure(workflow_run, repository);
+            } else if (workflow_run.conclusion === 'success') {
+                const config = await this.repoConfig.load(repository.owner.login, repository.name, workflow_run.head_sha);
+                if (isWatchedWorkflow(config, workflow_run)) {
+                    await this.reporter.reportResolved(repository.owner.login, repository.name, workflow_run);
                 }
             }
         }
     }
 
     async handleWorkflowJobEvent(payload) {
-        const { action, workflow_job } = payload;
-        console.log(`Job ${workflow_job.name} ${action}`);
+        const { action, workflow_job, repository } = payload;
+        await this.jobs.record(repository.full_name, workflow_job);
+
+        this.logger.log(`Job ${workflow_job.name} of run ${workflow_job.run_id} ${action}` +
+            (workflow_job.runner_name ? ` on ${workflow_job.runner_name}` : '') +
+            (workflow_job.conclusion ? `: ${workflow_job.conclusion}` : ''));
     }
 
-    async handleWorkflowFailure(workflowRun, repository) {
-        console.log(`Handling failure for workflow run ${workflowRun.id}`);
+    // Analyze a failed run, apply the failure policy, record the outcome and report it.
+    // options.reanalyze analyzes an already handled attempt again without applying fixes.
+    async handleWorkflowFailure(workflowRun, repository, options = {}) {
+        this.logger.log(`Handling failure for workflow run ${workflowRun.id}`);
+
+        if (!this.resolver) {
+            this.logger.log(`Workflow ${workflowRun.name} failed. Manual intervention may be required.`);
+            return null;
+        }
+
+        const owner = repository.owner.login;
+        const repo = repository.name;
+        const attempt = workflowRun.run_attempt || 1;
 
         try {
-            const logs = await this.getWorkflowLogs(
-                repository.owner.login,
-                repository.name,
-                workflowRun.id
+            const config = await this.repoConfig.load(owner, repo, workflowRun.head_sha);
+            if (!isWatchedWorkflow(config, workflowRun)) {
+                this.logger.log(`Workflow ${workflowRun.name} is not watched in ${repository.full_name}`);
+                return null;
+            }
+            const policy = options.reanalyze ? 'notify' : config.failures.policy || this.failurePolicy;
+
+            // Redelivered events must not analyze or fix the same attempt twice
+            const run = await this.activeRuns.get(workflowRun.id);
+            if (!options.reanalyze && run && run.resolution && run.resolution.attempt === attempt) {
+                this.logger.log(`Failure of run ${workflowRun.id} attempt ${attempt} already handled`);
+                return run.resolution;
+            }
+
+            // Tracked jobs point the analysis at the failing job and step without another API call
+            const failingJobs = await this.jobs.getFailingJobs(workflowRun.id, attempt);
+            const { analysis, fingerprint, occurrences } = await this.resolver.analyzeRunFailure(
+                owner,
+                repo,
+                workflowRun.id,
+                workflowRun.name,
+                { throwTransient: true, fresh: Boolean(options.reanalyze), failingJobs }
             );
 
-            console.log('Retrieved workflow logs, analyzing failure...');
-            console.log(`Workflow ${workflowRun.name} failed. Manual intervention may be required.`);
+            let resolution = {
+                status: 'notified',
+                message: 'Failure analyzed',
+                fixes: [],
+                pull_requests: [],
+                can_retry: false
+            };
+            if (policy !== 'notify') {
+                resolution = await this.resolver.resolveFailure(
+                    owner,
+                    repo,
+                    workflowRun.id,
+                    '', // logs already analyzed
+                    workflowRun.name,
+                    { analysis, minConfidence: config.failures.auto_fix_min_confidence }
+                );
+            }
+
+            let rerun = null;
+            if (policy === 'auto_fix_rerun' && resolution.can_retry && attempt < MAX_AUTO_RERUN_ATTEMPTS) {
+                rerun = await this.rerunWorkflow(owner, repo, workflowRun.id, {
+                    failedOnly: config.failures.rerun_jobs === 'failed',
+                    debug: config.failures.rerun_debug_logging,
+                    requestedBy: `policy:${policy}`
+                });
+            }
+
+            const outcome = {
+                attempt,
+                policy,
+                status: resolution.status,
+                message: resolution.message,
+                root_cause: analysis.root_cause,
+                confidence: analysis.confidence,
+                fingerprint,
+                occurrences: occurrences.count,
+                failing_jobs: failingJobs.map(job => job.name),
+                pull_requests: resolution.pull_requests,
+                rerun,
+                handled_at: new Date().toISOString()
+            };
+
+            await this.recordResolution(workflowRun, repository, outcome);
+            await this.reporter.report(owner, repo, workflowRun, analysis, outcome);
+
+            this.logger.log(`Failure of ${workflowRun.name} handled: ${outcome.status}`);
+            return outcome;
         } catch (error) {
-            console.error('Error handling workflow failure:', error);
+            this.logger.error('Error handling workflow failure:', error);
+            // Let the webhook queue retry rate limits, timeouts and outages
+            if (isTransientError(error)) {
+                throw error;
+            }
+            return null;
         }
     }
 
+    async recordResolution(workflowRun, repository, outcome) {
+        const run = (await this.activeRuns.get(workflowRun.id)) || {
+            id: workflowRun.id,
+            name: workflowRun.name,
+            repository: repository.full_name,
+            status: workflowRun.conclusion
+        };
+        run.resolution = outcome;
+        await this.activeRuns.set(workflowRun.id, run);
+    }
+
     generateArtifactId() {
         const timestamp = Date.now();
         const uuid = uuidv4().split('-')[0];
         return `artifact-${timestamp}-${uuid}`;
     }
 
-    async triggerPipeline(owner, repo, branch = 'main', artifactId) {
+    // Pipeline settings for a repository: central defaults overridden per repository
+    getPipelineConfig(owner, repo) {
+        return {
+            ...DEFAULT_PIPELINE,
+            ...this.pipelines.default,
+            ...this.pipelines[`${owner}/${repo}`]
+        };
+    }
+
+    // Inputs declared by a workflow's workflow_dispatch trigger at the given ref
+    async getDispatchInputs(owner, repo, workflowId, ref) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        const { data: workflow } = await octokit.actions.getWorkflow({
+            owner,
+            repo,
+            workflow_id: workflowId
+        });
+
+        const { data: file } = await octokit.repos.getContent({
+            owner,
+            repo,
+            path: workflow.path,
+            ref
+        });
+
+        const declared = parseDispatchInputs(Buffer.from(file.content, 'base64').toString('utf8'));
+        if (!declared) {
+            const error = new Error(`Workflow ${workflow.path} has no workflow_dispatch trigger`);
+            error.status = 422;
+            throw error;
+        }
+
+        return { workflow, declared };
+    }
+
+    // Dispatch a workflow; options: workflow, ref, inputs, artifactId
+    async triggerPipeline(owner, repo, options = {}) {
+        const pipeline = this.getPipelineConfig(owner, repo);
+        const workflowId = options.workflow || pipeline.workflow;
+        const ref = options.ref || pipeline.ref;
+
         try {
-            const response = await this.octokit.actions.createWorkflowDispatch({
+            const octokit = await this.github.getOctokit(owner, repo);
+            const { workflow, declared } = await this.getDispatchInputs(owner, repo, workflowId, ref);
+
+            const inputs = { ...options.inputs };
+            let artifactId = null;
+            // Release workflows take an artifact id; generate one unless the caller picked it
+            if ('artifact_id' in declared) {
+                artifactId = inputs.artifact_id || options.artifactId || this.generateArtifactId();
+                inputs.artifact_id = artifactId;
+            }
+
+            // The allow-list limits what callers pass as inputs; the artifact id is the bot's own
+            const callerInputs = options.inputs || {};
+            const allowedInputs = pipeline.allowedInputs && artifactId && !('artifact_id' in callerInputs)
+                ? [...pipeline.allowedInputs, 'artifact_id']
+                : pipeline.allowedInputs;
+            const validation = validateDispatchInputs(declared, inputs, allowedInputs);
+            if (validation.errors.length > 0) {
+                const error = new Error(`Invalid inputs: ${validation.errors.join('; ')}`);
+                error.status = 400;
+                error.errors = validation.errors;
+                throw error;
+            }
+
+            await octokit.actions.createWorkflowDispatch({
                 owner,
                 repo,
-                workflow_id: 'release.yml',
-                ref: branch,
-                inputs: {
-                    artifact_id: artifactId || this.generateArtifactId()
-                }
+                workflow_id: workflowId,
+                ref,
+                inputs: validation.inputs
+            });
+
+            const release = await this.releases.recordDispatch(`${owner}/${repo}`, {
+                workflow: workflow.path,
+                ref,
+                artifactId,
+                inputs: validation.inputs
             });
 
             return {
                 success: true,
-                message: `Pipeline triggered for ${owner}/${repo}`,
+                message: `Pipeline ${workflow.name} triggered for ${owner}/${repo}`,
+                workflow: workflow.path,
                 artifact_id: artifactId,
-                branch
+                release_id: release.id,
+                branch: ref,
+                inputs: validation.inputs
             };
         } catch (error) {
-            console.error('Pipeline trigger error:', error);
-            throw new Error(`Failed to trigger pipeline: ${error.message}`);
+            this.logger.error('Pipeline trigger error:', error);
+            const triggerError = new Error(`Failed to trigger pipeline: ${error.message}`);
+            triggerError.status = error.status;
+            triggerError.errors = error.errors;
+            throw triggerError;
         }
     }
 
     async getRepositoryStatus(owner, repo) {
         try {
+            const octokit = await this.github.getOctokit(owner, repo);
+
             // First fetch workflows
-            const workflows = await this.octokit.actions.listRepoWorkflows({
+            const workflows = await octokit.actions.listRepoWorkflows({
                 owner,
                 repo
             });
@@ -174,10 +617,13 @@ class GitHubBot {
                 };
             }
 
+            // Queued and running jobs known from workflow_job events
+            const activeJobs = await this.jobs.listActive(`${owner}/${repo}`);
+
             // Get runs for each workflow
             const workflowsWithRuns = await Promise.all(
                 workflows.data.workflows.map(async (workflow) => {
-                    const runs = await this.octokit.actions.listWorkflowRuns({
+                    const runs = await octokit.actions.listWorkflowRuns({
                         owner,
                         repo,
                         workflow_id: workflow.id,
@@ -187,14 +633,18 @@ class GitHubBot {
                     return {
                         workflow_id: workflow.id,
                         workflow_name: workflow.name,
+                        workflow_path: workflow.path,
                         recent_runs: runs.data.workflow_runs.map(run => ({
                             id: run.id,
                             name: run.name,
                             status: run.status,
                             conclusion: run.conclusion,
+                            head_branch: run.head_branch,
+                            head_sha: run.head_sha,
                             created_at: run.created_at,
                             updated_at: run.updated_at,
-                            html_url: run.html_url
+                            html_url: run.html_url,
+                            active_jobs: activeJobs.filter(job => job.run_id === run.id)
                         }))
                     };
                 })
@@ -202,32 +652,136 @@ class GitHubBot {
 
             return {
                 repository: `${owner}/${repo}`,
-                workflows: workflowsWithRuns
+                workflows: workflowsWithRuns,
+                active_jobs: activeJobs
             };
         } catch (error) {
-            console.error('Status retrieval error:', error);
+            this.logger.error('Status retrieval error:', error);
             throw new Error(`Failed to get repository status: ${error.message}`);
         }
     }
 
-    async getWorkflowLogs(owner, repo, runId) {
+    async getWorkflowRun(owner, repo, runId) {
+        const octokit = await this.github.getOctokit(owner, repo);
+        const { data } = await octokit.actions.getWorkflowRun({
+            owner,
+            repo,
+            run_id: runId
+        });
+        return data;
+    }
+
+    // Analyze a failed run on request, without reporting or fixing it. Failing jobs known
+    // from workflow_job events narrow the logs; options are passed to analyzeRunFailure.
+    async analyzeRun(owner, repo, runId, options = {}) {
+        const run = await this.getWorkflowRun(owner, repo, runId);
+        if (run.conclusion !== 'failure') {
+            const error = new Error(`Run ${run.id} of ${run.name} is ${run.conclusion || run.status}, there is no failure to analyze`);
+            error.status = 409;
+            throw error;
+        }
+
+        const result = await this.resolver.analyzeRunFailure(owner, repo, run.id, run.name, {
+            ...options,
+            failingJobs: await this.jobs.getFailingJobs(run.id, run.run_attempt)
+        });
+
+        return {
+            run: {
+                id: run.id,
+                name: run.name,
+                status: run.status,
+                conclusion: run.conclusion,
+                head_branch: run.head_branch,
+                attempt: run.run_attempt,
+                updated_at: run.updated_at,
+                html_url: run.html_url
+            },
+            ...result
+        };
+    }
+
+    // Rerun every job of a run, only its failed jobs (options.failedOnly) or one job by
+    // name (options.job), optionally with debug logging. The new attempt is recorded on the run.
+    async rerunWorkflow(owner, repo, runId, options = {}) {
+        const { failedOnly = false, job = null, debug = false, requestedBy = null } = options;
+
         try {
-            const response = await this.octokit.actions.downloadWorkflowRunLogs({
+            if (failedOnly && job) {
+                const error = new Error('Rerun either the failed jobs or a single job, not both');
+                error.status = 400;
+                throw error;
+            }
+
+            const octokit = await this.github.getOctokit(owner, repo);
+            const { data: workflowRun } = await octokit.actions.getWorkflowRun({
                 owner,
                 repo,
                 run_id: runId
             });
 
-            return response.data;
+            let scope = 'all';
+            let jobName = null;
+            if (job) {
+                const target = await this.findRunJob(octokit, owner, repo, runId, job);
+                jobName = target.name;
+                await octokit.actions.reRunJobForWorkflowRun({
+                    owner,
+                    repo,
+                    job_id: target.id,
+                    enable_debug_logging: debug
+                });
+                scope = 'job';
+            } else if (failedOnly) {
+                await octokit.actions.reRunWorkflowFailedJobs({
+                    owner,
+                    repo,
+                    run_id: runId,
+                    enable_debug_logging: debug
+                });
+                scope = 'failed_jobs';
+            } else {
+                await octokit.actions.reRunWorkflow({
+                    owner,
+                    repo,
+                    run_id: runId,
+                    enable_debug_logging: debug
+                });
+            }
+
+            const previousAttempt = workflowRun.run_attempt || 1;
+            const rerun = {
+                attempt: previousAttempt + 1,
+                previous_attempt: previousAttempt,
+                scope,
+                job: jobName,
+                debug_logging: debug,
+                requested_by: requestedBy,
+                requested_at: new Date().toISOString()
+            };
+            await this.recordRerun(workflowRun, `${owner}/${repo}`, rerun);
+
+            const target = { all: `Workflow ${runId}`, failed_jobs: `Failed jobs of workflow ${runId}`, job: `Job ${jobName} of workflow ${runId}` }[scope];
+            return {
+                success: true,
+                message: `${target} restarted as attempt ${rerun.attempt}${debug ? ' with debug logging' : ''}`,
+                run_id: runId,
+                ...rerun,
+                html_url: workflowRun.html_url ? `${workflowRun.html_url}/attempts/${rerun.attempt}` : null
+            };
         } catch (error) {
-            console.error('Log retrieval error:', error);
-            throw new Error(`Failed to get workflow logs: ${error.message}`);
+            this.logger.error('Rerun error:', error);
+            const rerunError = new Error(`Failed to rerun workflow: ${error.message}`);
+            rerunError.status = error.status;
+            throw rerunError;
         }
     }
 
-    async rerunWorkflow(owner, repo, runId) {
+    async cancelWorkflowRun(owner, repo, runId) {
         try {
-            await this.octokit.actions.reRunWorkflow({
+            const octokit = await this.github.getOctokit(owner, repo);
+
+            await octokit.actions.cancelWorkflowRun({
                 owner,
                 repo,
                 run_id: runId
@@ -235,16 +789,92 @@ class GitHubBot {
 
             return {
                 success: true,
-                message: `Workflow ${runId} restarted`
+                message: `Cancellation of workflow ${runId} requested`,
+                run_id: runId
             };
         } catch (error) {
-            console.error('Rerun error:', error);
-            throw new Error(`Failed to rerun workflow: ${error.message}`);
+            this.logger.error('Cancel error:', error);
+            const cancelError = new Error(`Failed to cancel workflow: ${error.message}`);
+            cancelError.status = error.status;
+            throw cancelError;
         }
     }
 
-    getActiveRuns() {
-        return Array.from(this.activeRuns.values());
+    // Job of the latest attempt of a run by name, ignoring case
+    async findRunJob(octokit, owner, repo, runId, name) {
+        const jobs = await octokit.paginate(octokit.actions.listJobsForWorkflowRun, {
+            owner,
+            repo,
+            run_id: runId,
+            filter: 'latest',
+            per_page: 100
+        });
+
+        const job = jobs.find(item => item.name === name) ||
+            jobs.find(item => item.name.toLowerCase() === name.toLowerCase());
+        if (!job) {
+            const error = new Error(`No job named "${name}" in run ${runId} (jobs: ${jobs.map(item => item.name).join(', ')})`);
+            error.status = 404;
+            throw error;
+        }
+        return job;
+    }
+
+    // Link a rerun to the run it restarts; attempts share the run id
+    async recordRerun(workflowRun, repository, rerun) {
+        const run = (await this.activeRuns.get(workflowRun.id)) || {
+            id: workflowRun.id,
+            name: workflowRun.name,
+            repository,
+            started_at: workflowRun.run_started_at || workflowRun.created_at
+        };
+        run.status = 'in_progress';
+        run.attempt = rerun.attempt;
+        run.reruns = [...(run.reruns || []), rerun];
+        await this.activeRuns.set(workflowRun.id, run);
+    }
+
+    async getActiveRuns() {
+        return this.activeRuns.values();
+    }
+
+    // Reconcile runs that were in progress before a restart with their current state on GitHub
+    async recoverActiveRuns() {
+        const runs = await this.activeRuns.values();
+        const pending = runs.filter(run => run.status === 'in_progress');
+        let recovered = 0;
+
+        for (const run of pending) {
+            const [owner, repo] = run.repository.split('/');
+
+            try {
+                const octokit = await this.github.getOctokit(owner, repo);
+                const { data: workflowRun } = await octokit.actions.getWorkflowRun({
+                    owner,
+                    repo,
+                    run_id: run.id
+                });
+
+                if (workflowRun.status !== 'completed') {
+                    continue;
+                }
+
+                run.status = workflowRun.conclusion;
+                run.completed_at = workflowRun.updated_at;
+                await this.activeRuns.set(run.id, run);
+                recovered++;
+
+                this.logger.log(`Recovered workflow run ${run.id} in ${run.repository}: ${workflowRun.conclusion}`);
+
+                if (workflowRun.conclusion === 'failure') {
+                    await this.handleWorkflowFailure(workflowRun, workflowRun.repository);
+                }
+            } catch (error) {
+                this.logger.error(`Failed to recover workflow run ${run.id}:`, error.message);
+            }
+        }
+
+        return recovered;
     }
 }
 
@@ -1,115 +1,161 @@
+import { MemoryStore } from './store.js';
+import IntentParser from './intent-parser.js';
+import PendingActions from './pending-actions.js';
+
+// Idle sessions expire after a day unless configured otherwise
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Intents that change something in the repository, directly or once confirmed
+const MUTATING_INTENTS = ['trigger_release', 'rerun_workflow', 'cancel_run', 'confirm'];
+
+// Emoji of confirmation prompts per action type
+const ACTION_EMOJI = { release: '🚀', rerun: '🔄', cancel_run: '⏹️', fix: '🔧' };
+
+// Button labels offered to confirm each action type
+const ACTION_LABELS = { release: 'Release', rerun: 'Rerun', cancel_run: 'Cancel run', fix: 'Apply fix' };
+
+// Workflows matching filters.workflow (name, file name or file name without extension),
+// with only the runs of filters.branch inside filters.timeRange
+function selectRuns(workflows = [], filters) {
+  const workflow = filters.workflow && filters.workflow.toLowerCase();
+  const timeRange = filters.timeRange;
+
+  return workflows
+    .filter(item => {
+      const path = (item.workflow_path || '').toLowerCase();
+      return !workflow ||
+        (item.workflow_name || '').toLowerCase() === workflow ||
+        path.endsWith(`/${workflow}`) ||
+        path.replace(/\.ya?ml$/, '').endsWith(`/${workflow}`);
+    })
+    .map(item => ({
+      ...item,
+      recent_runs: (item.recent_runs || []).filter(run =>
+        (!filters.branch || run.head_branch === filters.branch) &&
+        (!timeRange || (Date.parse(run.created_at) >= Date.parse(timeRange.since) &&
+          (!timeRange.until || Date.parse(run.created_at) < Date.parse(timeRange.until)))))
+    }));
+}
+
 class ChatInterface {
-  constructor(bot, resolver) {
+  constructor(bot, resolver, options = {}) {
     this.bot = bot;
     this.resolver = resolver;
-    this.userSessions = new Map(); // Track user conversations
+    this.logger = options.logger || console;
+    const store = options.store || new MemoryStore();
+    // Track user conversations; each message refreshes the session TTL
+    this.userSessions = store.collection('sessions', {
+      ttl: options.sessionTtl || DEFAULT_SESSION_TTL_MS
+    });
+    // options.llm enables the LLM fallback for messages the rules cannot place
+    this.intents = new IntentParser({ llm: options.llm, logger: this.logger });
+    // Releases, reruns, cancellations and fixes wait for a confirmation naming their token
+    this.pendingActions = new PendingActions({ ttl: options.confirmationTtl });
+    // Last message handled per session, so the next one waits for its session write
+    this.sessionQueues = new Map();
   }
 
-  // Main message handler
-  async handleMessage(message, userId) {
-    console.log(`Processing message from ${userId}: ${message}`);
-    
-    // Update user session
-    if (!this.userSessions.has(userId)) {
-      this.userSessions.set(userId, {
-        id: userId,
-        lastActivity: new Date(),
-        context: {}
-      });
-    }
-    
-    const session = this.userSessions.get(userId);
-    session.lastActivity = new Date();
-
-    try {
-      const intent = this.parseIntent(message);
-      return await this.processIntent(intent, session);
-    } catch (error) {
-      console.error('Message processing error:', error);
-      return "Sorry, I encountered an error processing your request. Please try again.";
-    }
+  // Main message handler. options.repository pins the repository instead of reading it
+  // from the message; options.authorize(intent) is asked before mutating intents and
+  // returns a refusal message or null; options.commandPrefix is shown in front of the
+  // confirm and cancel replies the bot asks for. options.onEvent(event) receives
+  // { type: 'progress', stage, message } before slow steps, { type: 'token', text } while
+  // the model writes an analysis, { type: 'action', label, command, style } for replies
+  // that can be offered as buttons, and finally { type: 'response', response }.
+  // Messages of a session are handled one at a time, so two quick replies cannot both
+  // confirm the same action or overwrite each other's changes to the session.
+  handleMessage(message, userId, options = {}) {
+    const previous = this.sessionQueues.get(userId) || Promise.resolve();
+    const handled = previous.then(() => this.handleSessionMessage(message, userId, options));
+    const done = handled.catch(() => {});
+    this.sessionQueues.set(userId, done);
+    done.then(() => {
+      if (this.sessionQueues.get(userId) === done) {
+        this.sessionQueues.delete(userId);
+      }
+    });
+    return handled;
   }
 
-  // Parse user intent from message
-  parseIntent(message) {
-    const lowerMessage = message.toLowerCase().trim();
+  async handleSessionMessage(message, userId, options) {
+    this.logger.log(`Processing message from ${userId}: ${message}`);
+    const emit = options.onEvent || (() => {});
     
-    // Extract repository information
-    const repoMatch = message.match(/([a-zA-Z0-9_.-]+)\/([a-zA-Z0-9_.-]+)/);
-    const repository = repoMatch ? {
-      owner: repoMatch[1],
-      name: repoMatch[2]
-    } : null;
-
-    // Status check intents
-    if (lowerMessage.includes('status') || lowerMessage.includes('check')) {
-      return {
-        type: 'status_check',
-        repository,
-        message
-      };
-    }
+    // Load or create user session
+    const session = (await this.userSessions.get(userId)) || {
+      id: userId,
+      context: {}
+    };
+    session.lastActivity = new Date().toISOString();
 
-    // Release/deployment trigger intents
-    if (lowerMessage.includes('release') || lowerMessage.includes('deploy') || lowerMessage.includes('trigger')) {
-      const artifactMatch = message.match(/artifact[:\s]+([a-zA-Z0-9_.-]+)/i);
-      return {
-        type: 'trigger_release',
-        repository,
-        artifactId: artifactMatch ? artifactMatch[1] : null,
-        message
-      };
-    }
+    let response;
+    try {
+      const intent = await this.parseIntent(message);
+      if (options.repository) {
+        intent.repository = options.repository;
+      }
+      intent.commandPrefix = options.commandPrefix || '';
 
-    // Pipeline history intents
-    if (lowerMessage.includes('history') || lowerMessage.includes('runs') || lowerMessage.includes('last')) {
-      return {
-        type: 'pipeline_history',
-        repository,
-        message
-      };
+      const refusal = options.authorize && this.isMutatingIntent(intent, session)
+        ? await options.authorize(intent)
+        : null;
+      response = refusal || await this.processIntent(intent, session, emit);
+    } catch (error) {
+      this.logger.error('Message processing error:', error);
+      response = "Sorry, I encountered an error processing your request. Please try again.";
+    } finally {
+      await this.userSessions.set(userId, session);
     }
 
-    // Failure analysis intents
-    if (lowerMessage.includes('failed') || lowerMessage.includes('failure') || lowerMessage.includes('error')) {
-      return {
-        type: 'analyze_failure',
-        repository,
-        message
-      };
-    }
+    emit({ type: 'response', response });
+    return response;
+  }
 
-    // Help intents
-    if (lowerMessage.includes('help') || lowerMessage.includes('what can you do')) {
-      return {
-        type: 'help',
-        message
-      };
-    }
+  // Parse user intent from message into a typed intent; see IntentParser
+  async parseIntent(message) {
+    return this.intents.parse(message);
+  }
 
-    // Default: conversational
-    return {
-      type: 'conversation',
-      repository,
-      message
-    };
+  // Whether an intent changes something; requests and their confirmations both count
+  isMutatingIntent(intent, session) {
+    return MUTATING_INTENTS.includes(intent.type);
   }
 
-  // Process different intent types
-  async processIntent(intent, session) {
+  // Process different intent types; emit reports progress to streaming clients
+  async processIntent(intent, session, emit = () => {}) {
+    // Ambiguous requests are answered with a question; the repository is kept for the answer
+    if (intent.clarification) {
+      if (intent.repository) {
+        session.context.lastRepository = intent.repository;
+      }
+      return `🤔 ${intent.clarification}`;
+    }
+
     switch (intent.type) {
       case 'status_check':
-        return await this.handleStatusCheck(intent, session);
+        return await this.handleStatusCheck(intent, session, emit);
       
       case 'trigger_release':
-        return await this.handleReleaseRequest(intent, session);
+        return await this.handleReleaseRequest(intent, session, emit);
       
+      case 'rerun_workflow':
+        return await this.handleRerunRequest(intent, session, emit);
+
+      case 'cancel_run':
+        return await this.handleCancelRunRequest(intent, session, emit);
+
       case 'pipeline_history':
-        return await this.handleHistoryRequest(intent, session);
+        return await this.handleHistoryRequest(intent, session, emit);
       
       case 'analyze_failure':
-        return await this.handleFailureAnalysis(intent, session);
+        return await this.handleFailureAnalysis(intent, session, emit);
       
+      case 'confirm':
+        return await this.handleConfirmation(intent, session, emit);
+
+      case 'cancel':
+        return this.handleCancellation(intent, session);
+
       case 'help':
         return this.getHelpMessage();
       
@@ -122,30 +168,28 @@ class ChatInterface {
   }
 
   // Handle status check requests
-  async handleStatusCheck(intent, session) {
+  async handleStatusCheck(intent, session, emit) {
     if (!intent.repository) {
       return "Please specify a repository in the format 'owner/repo'. For example: 'Check status of myuser/myproject'";
     }
 
     try {
-      const status = await this.bot.getRepositoryStatus(
-        intent.repository.owner,
-        intent.repository.name
-      );
+      const status = await this.getRepositoryStatus(intent, emit);
 
       if (!status) {
         return `❌ No status information available for ${intent.repository.owner}/${intent.repository.name}`;
       }
 
-      let response = `📊 **Status for ${status.repository || `${intent.repository.owner}/${intent.repository.name}`}**\n\n`;
+      let response = `📊 **Status for ${status.repository || `${intent.repository.owner}/${intent.repository.name}`}**${this.describeFilters(intent)}\n\n`;
+      const workflows = selectRuns(status.workflows, intent);
       
       // Check if workflows exists and has data
-      if (!status.workflows || status.workflows.length === 0) {
+      if (workflows.length === 0) {
         return response + "No workflows found in this repository.";
       }
 
       response += "Recent workflow runs:\n";
-      status.workflows.forEach((workflow, wIndex) => {
+      workflows.forEach((workflow, wIndex) => {
         response += `\n🔧 Workflow: ${workflow.workflow_name}\n`;
         
         if (!workflow.recent_runs || workflow.recent_runs.length === 0) {
@@ -157,6 +201,9 @@ class ChatInterface {
           const statusEmoji = this.getStatusEmoji(run.status, run.conclusion);
           const timeAgo = this.getTimeAgo(new Date(run.created_at));
           response += `   ${index + 1}. ${statusEmoji} **${run.name || 'Unnamed run'}** - ${run.conclusion || run.status || 'Unknown'} (${timeAgo})\n`;
+          (run.active_jobs || []).forEach(job => {
+            response += `      ↳ ${this.describeActiveJob(job)}\n`;
+          });
         });
       });
 
@@ -165,33 +212,50 @@ class ChatInterface {
 
       return response;
     } catch (error) {
-      console.error('Status check error:', error);
+      this.logger.error('Status check error:', error);
       return `❌ Failed to get status for ${intent.repository.owner}/${intent.repository.name}: ${error.message}`;
     }
   }
 
-  // Handle release trigger requests
-  async handleReleaseRequest(intent, session) {
+  // Handle release trigger requests; the release starts once confirmed
+  async handleReleaseRequest(intent, session, emit) {
     if (!intent.repository) {
       return "Please specify a repository in the format 'owner/repo'. For example: 'Trigger release for myuser/myproject'";
     }
 
+    const { owner, name } = intent.repository;
+    const pipeline = this.bot.getPipelineConfig(owner, name);
+    const params = {
+      repository: intent.repository,
+      artifactId: intent.artifactId || this.bot.generateArtifactId(),
+      workflow: intent.workflow || undefined,
+      branch: intent.branch || undefined
+    };
+
+    session.context.lastRepository = intent.repository;
+    return this.requestConfirmation(session, intent, {
+      type: 'release',
+      key: `release:${owner}/${name}`,
+      description: `release of ${owner}/${name}: ${params.workflow || pipeline.workflow} on ${params.branch || pipeline.ref}, artifact ${params.artifactId}`,
+      params
+    }, emit);
+  }
+
+  async executeRelease(params, session) {
     try {
-      const artifactId = intent.artifactId || this.bot.generateArtifactId();
-      
       const result = await this.bot.triggerPipeline(
-        intent.repository.owner,
-        intent.repository.name,
-        'main',
-        artifactId
+        params.repository.owner,
+        params.repository.name,
+        { artifactId: params.artifactId, workflow: params.workflow, ref: params.branch }
       );
 
-      session.context.lastRepository = intent.repository;
-      session.context.lastArtifactId = artifactId;
+      session.context.lastRepository = params.repository;
+      session.context.lastArtifactId = result.artifact_id;
 
       return `🚀 **Release triggered!**\n\n` +
-             `Repository: ${intent.repository.owner}/${intent.repository.name}\n` +
-             `Artifact ID: ${artifactId}\n` +
+             `Repository: ${params.repository.owner}/${params.repository.name}\n` +
+             `Workflow: ${result.workflow} on ${result.branch}\n` +
+             (result.artifact_id ? `Artifact ID: ${result.artifact_id}\n` : '') +
              `Status: ${result.message}\n\n` +
              `I'll monitor the pipeline and let you know if any issues arise.`;
              
@@ -201,7 +265,7 @@ class ChatInterface {
   }
 
   // Handle pipeline history requests
-  async handleHistoryRequest(intent, session) {
+  async handleHistoryRequest(intent, session, emit) {
     if (!intent.repository) {
       if (session.context.lastRepository) {
         intent.repository = session.context.lastRepository;
@@ -211,23 +275,21 @@ class ChatInterface {
     }
 
     try {
-      const status = await this.bot.getRepositoryStatus(
-        intent.repository.owner,
-        intent.repository.name
-      );
+      const status = await this.getRepositoryStatus(intent, emit);
 
       if (!status || !status.workflows) {
         return `❌ No workflow information available for ${intent.repository.owner}/${intent.repository.name}`;
       }
 
-      let response = `📈 **Pipeline History for ${intent.repository.owner}/${intent.repository.name}**\n\n`;
+      let response = `📈 **Pipeline History for ${intent.repository.owner}/${intent.repository.name}**${this.describeFilters(intent)}\n\n`;
+      const workflows = selectRuns(status.workflows, intent);
       
-      if (status.workflows.length === 0) {
+      if (workflows.length === 0) {
         return response + "No workflows found in this repository.";
       }
 
       // Process each workflow
-      status.workflows.forEach(workflow => {
+      workflows.forEach(workflow => {
         response += `\n**Workflow: ${workflow.workflow_name || 'Unnamed'}**\n`;
         
         if (!workflow.recent_runs || workflow.recent_runs.length === 0) {
@@ -253,13 +315,13 @@ class ChatInterface {
 
       return response;
     } catch (error) {
-      console.error('History error:', error);
+      this.logger.error('History error:', error);
       return `❌ Failed to get pipeline history: ${error.message}`;
     }
   }
 
   // Handle failure analysis requests
-  async handleFailureAnalysis(intent, session) {
+  async handleFailureAnalysis(intent, session, emit) {
     if (!intent.repository) {
       if (session.context.lastRepository) {
         intent.repository = session.context.lastRepository;
@@ -269,45 +331,48 @@ class ChatInterface {
     }
 
     try {
-      const status = await this.bot.getRepositoryStatus(
-        intent.repository.owner,
-        intent.repository.name
-      );
+      const failedRun = await this.findFailedRun(intent, emit);
 
-      if (!status || !status.workflows) {
-        return `❌ No workflow information available for ${intent.repository.owner}/${intent.repository.name}`;
-      }
-
-      // Find the most recent failed run across all workflows
-      let failedRun = null;
-      status.workflows.forEach(workflow => {
-        if (workflow.recent_runs && workflow.recent_runs.length > 0) {
-          const failed = workflow.recent_runs.find(run => run.conclusion === 'failure');
-          if (failed && (!failedRun || new Date(failed.created_at) > new Date(failedRun.created_at))) {
-            failedRun = failed;
-          }
-        }
-      });
-      
       if (!failedRun) {
         return `✅ No recent failures found for ${intent.repository.owner}/${intent.repository.name}`;
       }
 
+      if (failedRun.conclusion !== 'failure') {
+        return `ℹ️ Run ${failedRun.id} of ${failedRun.name} is ${failedRun.conclusion || failedRun.status}, there is no failure to analyze.`;
+      }
+
       let response = `🔍 **Analyzing failure for ${failedRun.name}**\n\n`;
       response += `Run ID: ${failedRun.id}\n`;
       response += `Failed: ${this.getTimeAgo(new Date(failedRun.updated_at))}\n\n`;
       
       try {
-        // Get logs and analyze
-        const logs = await this.resolver.getWorkflowLogs(
+        // Analyze the failing job/step logs, reusing known analyses
+        const { analysis, fingerprint, occurrences } = await this.resolver.analyzeRunFailure(
           intent.repository.owner,
           intent.repository.name,
-          failedRun.id
+          failedRun.id,
+          failedRun.name,
+          {
+            onProgress: (stage, message) => emit({ type: 'progress', stage, message }),
+            onToken: text => emit({ type: 'token', text })
+          }
         );
 
-        const analysis = await this.resolver.analyzeFailure(logs, failedRun.name);
+        if (occurrences.count > 1) {
+          response += `🔁 Seen ${occurrences.count} times since ${new Date(occurrences.first_seen).toLocaleDateString()} (fingerprint \`${fingerprint}\`)\n\n`;
+        }
         
         response += `**Root Cause:** ${analysis.root_cause}\n\n`;
+        if (analysis.failing_step) {
+          response += `**Failing Step:** ${analysis.failing_step}\n`;
+        }
+        if (analysis.file_references && analysis.file_references.length > 0) {
+          const files = analysis.file_references.map(ref => ref.line ? `${ref.path}:${ref.line}` : ref.path);
+          response += `**Files:** ${files.map(file => `\`${file}\``).join(', ')}\n`;
+        }
+        if (analysis.failure_reason) {
+          response += `⚠️ Analysis incomplete: ${analysis.failure_reason}\n`;
+        }
         response += `**Auto-fixable:** ${analysis.is_minor ? '✅ Yes' : '❌ No'}\n`;
         response += `**Confidence:** ${analysis.confidence}/10\n\n`;
         
@@ -319,41 +384,180 @@ class ChatInterface {
         }
 
         if (analysis.is_minor && analysis.confidence >= 1) {
-          response += `\n🔧 I can attempt to auto-fix this issue. Would you like me to try?`;
-          session.context.pendingFix = {
-            repository: intent.repository,
-            runId: failedRun.id,
-            analysis
-          };
+          response += `\n🔧 I can attempt to auto-fix this issue.\n\n`;
+          response += this.requestConfirmation(session, intent, {
+            type: 'fix',
+            key: `fix:${intent.repository.owner}/${intent.repository.name}:${failedRun.id}`,
+            description: `auto-fix of ${failedRun.name} run ${failedRun.id} in ${intent.repository.owner}/${intent.repository.name}`,
+            params: {
+              repository: intent.repository,
+              runId: failedRun.id,
+              headSha: failedRun.head_sha,
+              analysis
+            }
+          }, emit);
         }
 
+        // Restarting is always an option; it asks for its own confirmation
+        emit({
+          type: 'action',
+          label: 'Rerun',
+          command: `rerun run ${failedRun.id} in ${intent.repository.owner}/${intent.repository.name}`
+        });
+
       } catch (error) {
         response += `⚠️ Could not retrieve detailed analysis: ${error.message}`;
       }
 
       return response;
     } catch (error) {
-      console.error('Failure analysis error:', error);
+      this.logger.error('Failure analysis error:', error);
       return `❌ Failed to analyze failures: ${error.message}`;
     }
   }
 
-  // Handle conversational messages
-  async handleConversation(intent, session) {
-    const message = intent.message.toLowerCase();
+  // Handle rerun requests for a given run or the most recent failed one; the run
+  // restarts once confirmed
+  async handleRerunRequest(intent, session, emit) {
+    if (!intent.repository) {
+      if (session.context.lastRepository) {
+        intent.repository = session.context.lastRepository;
+      } else {
+        return "Please specify a repository in the format 'owner/repo'.";
+      }
+    }
+
+    try {
+      const run = await this.findFailedRun(intent, emit);
+
+      if (!run) {
+        return `✅ No recent failures found for ${intent.repository.owner}/${intent.repository.name}, nothing to rerun.`;
+      }
+
+      const { owner, name } = intent.repository;
+      const scope = intent.job ? `job ${intent.job} of ` : intent.failedOnly ? 'failed jobs of ' : '';
+      session.context.lastRepository = intent.repository;
+
+      return this.requestConfirmation(session, intent, {
+        type: 'rerun',
+        key: `rerun:${owner}/${name}:${run.id}`,
+        description: `rerun of ${scope}${run.name} run ${run.id} in ${owner}/${name}${intent.debug ? ' with debug logging' : ''}`,
+        params: {
+          repository: intent.repository,
+          runId: run.id,
+          runName: run.name,
+          failedOnly: intent.failedOnly,
+          job: intent.job,
+          debug: intent.debug
+        }
+      }, emit);
+    } catch (error) {
+      return `❌ Failed to rerun workflow: ${error.message}`;
+    }
+  }
+
+  async executeRerun(params, session) {
+    try {
+      const result = await this.bot.rerunWorkflow(
+        params.repository.owner,
+        params.repository.name,
+        params.runId,
+        { failedOnly: params.failedOnly, job: params.job, debug: params.debug, requestedBy: session.id }
+      );
+
+      return `🔄 **Rerun started**\n\n` +
+             `Repository: ${params.repository.owner}/${params.repository.name}\n` +
+             `Run: ${params.runName} (${params.runId}), attempt ${result.previous_attempt} → ${result.attempt}\n` +
+             `Status: ${result.message}` +
+             (result.html_url ? `\n[View attempt ${result.attempt}](${result.html_url})` : '');
+    } catch (error) {
+      return `❌ Failed to rerun workflow: ${error.message}`;
+    }
+  }
+
+  // Handle requests to cancel a given run or the most recent one still going
+  async handleCancelRunRequest(intent, session, emit) {
+    if (!intent.repository) {
+      if (session.context.lastRepository) {
+        intent.repository = session.context.lastRepository;
+      } else {
+        return "Please specify a repository in the format 'owner/repo'.";
+      }
+    }
+
+    try {
+      const { owner, name } = intent.repository;
+      let run = null;
+      if (intent.runId) {
+        run = await this.bot.getWorkflowRun(owner, name, intent.runId);
+      } else {
+        const status = await this.getRepositoryStatus(intent, emit);
+        run = selectRuns((status && status.workflows) || [], intent)
+          .flatMap(workflow => workflow.recent_runs || [])
+          .filter(item => item.status !== 'completed')
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+      }
 
-    // Handle yes/no responses for pending actions
-    if (session.context.pendingFix) {
-      if (message.includes('yes') || message.includes('sure') || message.includes('go ahead')) {
-        return await this.executePendingFix(session);
-      } else if (message.includes('no') || message.includes('cancel')) {
-        delete session.context.pendingFix;
-        return "Fix cancelled. Let me know if you need help with anything else.";
+      if (!run || run.status === 'completed') {
+        return `✅ No running workflows found for ${owner}/${name}, nothing to cancel.`;
       }
+
+      session.context.lastRepository = intent.repository;
+      return this.requestConfirmation(session, intent, {
+        type: 'cancel_run',
+        key: `cancel_run:${owner}/${name}:${run.id}`,
+        description: `cancellation of ${run.name} run ${run.id} in ${owner}/${name}`,
+        params: { repository: intent.repository, runId: run.id, runName: run.name }
+      }, emit);
+    } catch (error) {
+      return `❌ Failed to cancel workflow: ${error.message}`;
+    }
+  }
+
+  async executeCancelRun(params, session) {
+    try {
+      const result = await this.bot.cancelWorkflowRun(
+        params.repository.owner,
+        params.repository.name,
+        params.runId
+      );
+
+      return `⏹️ **Run cancelled**\n\n` +
+             `Repository: ${params.repository.owner}/${params.repository.name}\n` +
+             `Run: ${params.runName} (${params.runId})\n` +
+             `Status: ${result.message}`;
+    } catch (error) {
+      return `❌ Failed to cancel workflow: ${error.message}`;
+    }
+  }
+
+  // The run named in the intent, or the most recent failed run across all workflows
+  async findFailedRun(intent, emit) {
+    const { owner, name } = intent.repository;
+    if (intent.runId) {
+      return this.bot.getWorkflowRun(owner, name, intent.runId);
     }
 
+    const status = await this.getRepositoryStatus(intent, emit);
+    let failedRun = null;
+    selectRuns((status && status.workflows) || [], intent).forEach(workflow => {
+      if (workflow.recent_runs && workflow.recent_runs.length > 0) {
+        const failed = workflow.recent_runs.find(run => run.conclusion === 'failure');
+        if (failed && (!failedRun || new Date(failed.created_at) > new Date(failedRun.created_at))) {
+          failedRun = failed;
+        }
+      }
+    });
+
+    return failedRun;
+  }
+
+  // Handle conversational messages
+  async handleConversation(intent, session) {
+    const message = intent.message.toLowerCase();
+
     // Handle general greetings
-    if (message.includes('hello') || message.includes('hi') || message.includes('hey')) {
+    if (/\b(hello|hi|hey)\b/.test(message)) {
       return "Hello! I'm your GitHub CI/CD assistant. I can help you:\n" +
              "• Check pipeline status\n" +
              "• Trigger releases\n" +
@@ -363,7 +567,7 @@ class ChatInterface {
     }
 
     // Handle thanks
-    if (message.includes('thank') || message.includes('thanks')) {
+    if (/\bthank/.test(message)) {
       return "You're welcome! Happy to help with your CI/CD needs. 🚀";
     }
 
@@ -372,33 +576,127 @@ class ChatInterface {
            "• 'Check status of owner/repo'\n" +
            "• 'Trigger release for owner/repo'\n" +
            "• 'Show history for owner/repo'\n" +
-           "• 'Analyze failures in owner/repo'\n\n" +
+           "• 'Analyze failures in owner/repo'\n" +
+           "• 'Rerun the failed run in owner/repo'\n\n" +
            "What would you like to do?";
   }
 
-  // Execute pending fix
-  async executePendingFix(session) {
-    const pendingFix = session.context.pendingFix;
-    delete session.context.pendingFix;
+  // Workflow runs of the intent's repository; fetching them can take a while
+  async getRepositoryStatus(intent, emit) {
+    const { owner, name } = intent.repository;
+    emit({ type: 'progress', stage: 'fetching_runs', message: `Fetching workflow runs of ${owner}/${name}` });
+    return this.bot.getRepositoryStatus(owner, name);
+  }
 
+  // Register an action that waits for confirmation and ask for it; the confirm and
+  // cancel replies are also offered as buttons
+  requestConfirmation(session, intent, action, emit) {
+    const pending = this.pendingActions.create(session, action);
+    const minutes = Math.round(this.pendingActions.ttl / 60000);
+    emit({ type: 'action', label: ACTION_LABELS[pending.type], command: `confirm ${pending.token}`, style: 'primary' });
+    emit({ type: 'action', label: 'Cancel', command: `cancel ${pending.token}`, style: 'danger' });
+
+    return `${ACTION_EMOJI[pending.type]} **Confirm ${pending.description}**\n\n` +
+           `Reply \`${intent.commandPrefix}confirm ${pending.token}\` within ${minutes} minutes to go ahead, ` +
+           `or \`${intent.commandPrefix}cancel ${pending.token}\`.`;
+  }
+
+  // Actions still waiting for confirmation, for replies that name none
+  listPendingActions(session, intent, verb) {
+    const actions = this.pendingActions.list(session);
+    if (actions.length === 0) {
+      return `There is nothing waiting for confirmation.`;
+    }
+
+    return `Which action do you want to ${verb}? Reply with its token:\n\n` +
+           actions.map(action => `• \`${intent.commandPrefix}${verb} ${action.token}\` ${action.description}` +
+             ` (expires ${this.getTimeUntil(new Date(action.expires_at))})`).join('\n');
+  }
+
+  // "confirm <token>": run the action
+  async handleConfirmation(intent, session, emit) {
+    if (!intent.token) {
+      return this.listPendingActions(session, intent, 'confirm');
+    }
+
+    const { action, error } = this.pendingActions.close(session, intent.token, 'confirmed');
+    if (error) {
+      return `❌ ${error}`;
+    }
+
+    switch (action.type) {
+      case 'release':
+        return await this.executeRelease(action.params, session);
+      case 'rerun':
+        return await this.executeRerun(action.params, session);
+      case 'cancel_run':
+        return await this.executeCancelRun(action.params, session);
+      case 'fix':
+        return await this.executePendingFix(action.params, emit);
+      default:
+        return `❌ Unknown action type ${action.type}.`;
+    }
+  }
+
+  // "cancel <token>" or "cancel all": drop pending actions
+  handleCancellation(intent, session) {
+    if (!intent.token) {
+      return this.listPendingActions(session, intent, 'cancel');
+    }
+
+    const tokens = intent.token === 'ALL'
+      ? this.pendingActions.list(session).map(action => action.token)
+      : [intent.token];
+    if (tokens.length === 0) {
+      return "There is nothing to cancel.";
+    }
+
+    return tokens.map(token => {
+      const { action, error } = this.pendingActions.close(session, token, 'cancelled');
+      return error ? `❌ ${error}` : `Cancelled ${action.description}.`;
+    }).join('\n');
+  }
+
+  // Execute a confirmed fix
+  async executePendingFix(pendingFix, emit) {
     try {
       let response = "🔧 **Attempting automatic fix...**\n\n";
+      emit({ type: 'progress', stage: 'fixing', message: `Applying fixes to ${pendingFix.repository.owner}/${pendingFix.repository.name}` });
 
+      // Same confidence threshold as fixes started from webhooks
+      const config = await this.bot.repoConfig.load(
+        pendingFix.repository.owner,
+        pendingFix.repository.name,
+        pendingFix.headSha
+      );
       const resolution = await this.resolver.resolveFailure(
         pendingFix.repository.owner,
         pendingFix.repository.name,
         pendingFix.runId,
         '', // logs already analyzed
-        'workflow'
+        'workflow',
+        { analysis: pendingFix.analysis, minConfidence: config.failures.auto_fix_min_confidence }
       );
 
-      if (resolution.status === 'auto_fixed') {
-        response += "✅ **Issues resolved!**\n\n";
+      if (resolution.status === 'auto_fixed' || resolution.status === 'fix_proposed') {
+        response += resolution.status === 'auto_fixed'
+          ? "✅ **Issues resolved!**\n\n"
+          : "📝 **Fix proposed for review**\n\n";
         response += "Applied fixes:\n";
         resolution.fixes.forEach((fix, index) => {
           const statusEmoji = fix.success ? '✅' : '❌';
           response += `${index + 1}. ${statusEmoji} ${fix.fix}\n`;
+          if (fix.evicted_keys && fix.evicted_keys.length > 0) {
+            response += `   Evicted caches: ${fix.evicted_keys.map(key => `\`${key}\``).join(', ')}\n`;
+          }
+        });
+
+        resolution.pull_requests.forEach(url => {
+          response += `\n🔀 [Review fix pull request](${url})`;
         });
+        if (resolution.pull_requests.length > 0) {
+          response += '\n';
+        }
 
         if (resolution.can_retry) {
           response += "\n🔄 Restarting pipeline...";
@@ -451,12 +749,31 @@ I can help you manage your GitHub workflows and CI/CD pipelines:
 • "Analyze failures in owner/repo"
 • "Why did the last build fail?"
 • "Check for errors"
+• "Analyze run 7023451234 in owner/repo"
+
+**🔄 Rerun Commands:**
+• "Rerun the failed run in owner/repo"
+• "Rerun failed jobs in owner/repo"
+• "Rerun job build in owner/repo with debug logging"
+• "Retry run 7023451234 in owner/repo"
+
+**⏹️ Cancel Commands:**
+• "Cancel the running build in owner/repo"
+• "Stop run 7023451234 in owner/repo"
+
+**✅ Confirmations:**
+• Releases, reruns, cancellations and fixes wait for "confirm <token>"
+• "cancel <token>" or "cancel all" drops them; tokens expire after a while
 
 **💬 Interactive Features:**
 • I can automatically fix minor issues
 • I'll monitor your pipelines and alert you
 • Ask follow-up questions for more details
 
+**💬 GitHub Comments:**
+• Comment "/ci-bot status", "/ci-bot analyze <run>", "/ci-bot rerun failed", "/ci-bot release artifact:<id>" or "/ci-bot confirm <token>" on an issue or pull request
+• Releases, reruns, cancellations and fixes need write access to the repository
+
 Just mention a repository in the format "owner/repo" and I'll help you manage it!`;
   }
 
@@ -470,6 +787,11 @@ Just mention a repository in the format "owner/repo" and I'll help you manage it
     return '❓';
   }
 
+  getTimeUntil(date) {
+    const diffMins = Math.max(Math.ceil((date - new Date()) / 60000), 0);
+    return diffMins < 60 ? `in ${diffMins}m` : `in ${Math.floor(diffMins / 60)}h`;
+  }
+
   getTimeAgo(date) {
     const now = new Date();
     const diffMs = now - date;
@@ -483,6 +805,24 @@ Just mention a repository in the format "owner/repo" and I'll help you manage it
     return `${diffDays}d ago`;
   }
 
+  // " (CI, main, last 3 days)" for the filters of an intent
+  describeFilters(intent) {
+    const filters = [intent.workflow, intent.branch, intent.timeRange && intent.timeRange.label].filter(Boolean);
+    return filters.length > 0 ? ` (${filters.join(', ')})` : '';
+  }
+
+  // "build running for 2m 5s (step: Run tests) on runner-3" or "deploy queued for 40s"
+  describeActiveJob(job) {
+    if (job.status === 'in_progress') {
+      return `🔄 ${job.name} running for ${this.calculateDuration(0, (job.running_seconds || 0) * 1000)}` +
+        (job.current_step ? ` (step: ${job.current_step})` : '') +
+        (job.runner_name ? ` on ${job.runner_name}` : '') +
+        (job.queued_seconds !== null ? `, queued ${this.calculateDuration(0, job.queued_seconds * 1000)}` : '');
+    }
+    return `⏳ ${job.name} queued for ${this.calculateDuration(0, (job.queued_seconds || 0) * 1000)}` +
+      (job.labels.length > 0 ? ` (${job.labels.join(', ')})` : '');
+  }
+
   calculateDuration(startTime, endTime) {
     const start = new Date(startTime);
     const end = new Date(endTime);
@@ -497,4 +837,5 @@ Just mention a repository in the format "owner/repo" and I'll help you manage it
   }
 }
 
+export { selectRuns };
 export default ChatInterface;
\ No newline at end of file
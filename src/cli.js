@@ -0,0 +1,516 @@
+import os from 'os';
+import readline from 'readline';
+import { format, parseArgs } from 'util';
+import axios from 'axios';
+import GitHubBot from './bot.js';
+import ChatInterface, { selectRuns } from './chat-interface.js';
+import PipelineResolver from './pipeline-resolver.js';
+import GitHubAuth, { loadAppPrivateKey } from './github-auth.js';
+import { MemoryStore } from './store.js';
+import { extractEntities, parseTimeRange } from './intent-parser.js';
+import config from '../config/config.js';
+
+const USAGE = `Usage: ci-bot <command> [options]
+
+Commands:
+  status <owner/repo>           Latest run of every workflow, with queued and running jobs
+  history <owner/repo>          Recent runs of every workflow
+  analyze <run-url>             Analyze a failed run; "<owner/repo> [run-id]" analyzes the
+                                given or the most recent failed run
+  chat [message]                Ask one question, or start an interactive session without
+                                one; this is also what "ci-bot" alone does
+
+Options:
+  --workflow <name>   Only this workflow, by name or file name
+  --branch <branch>   Only runs of this branch
+  --since <when>      Only runs since a date (2024-10-01) or e.g. "last 3 days", "today"
+  --fresh             Analyze again even when the failure is known
+  --json              Print JSON instead of tables
+  --server <url>      Use a running bot server (default: $CI_BOT_URL, else run the bot here)
+  --verbose           Show the bot's logs when it runs here
+  -h, --help          Show this help`;
+
+const OPTIONS = {
+    workflow: { type: 'string' },
+    branch: { type: 'string' },
+    since: { type: 'string' },
+    fresh: { type: 'boolean' },
+    json: { type: 'boolean' },
+    server: { type: 'string' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Errors shown as "❌ message" with exit code 1; usage errors print the usage with exit code 2
+class UsageError extends Error {}
+
+// Uses the HTTP API of a running src/server.js; analyses and chat need the server's ADMIN_TOKEN
+class RemoteClient {
+    constructor(baseUrl, adminToken = null) {
+        this.http = axios.create({
+            baseURL: baseUrl.replace(/\/$/, ''),
+            headers: adminToken ? { Authorization: `Bearer ${adminToken}` } : {}
+        });
+    }
+
+    async getWorkflows(owner, repo) {
+        const { data } = await this.http.get(`/workflows/${owner}/${repo}`);
+        return data;
+    }
+
+    async analyzeRun(owner, repo, runId, options = {}) {
+        const { data } = await this.http.post(`/analyze/${owner}/${repo}/${runId}`, { fresh: Boolean(options.fresh) });
+        return data;
+    }
+
+    // Stream the answer from /chat/stream, passing every event to onEvent
+    async chat(message, userId, onEvent) {
+        const response = await this.http.post('/chat/stream', { message, userId }, { responseType: 'stream' });
+        response.data.setEncoding('utf8');
+
+        return new Promise((resolve, reject) => {
+            let buffer = '';
+            let answer = null;
+            response.data.on('data', chunk => {
+                buffer += chunk;
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+                for (const frame of frames) {
+                    // Keep-alive comments have no data line
+                    const data = frame.split('\n').find(line => line.startsWith('data: '));
+                    if (!data) {
+                        continue;
+                    }
+                    const event = JSON.parse(data.slice('data: '.length));
+                    onEvent(event);
+                    if (event.type === 'response') {
+                        answer = event.response;
+                    } else if (event.type === 'error') {
+                        reject(new Error(event.error));
+                    }
+                }
+            });
+            response.data.on('end', () => answer !== null
+                ? resolve(answer)
+                : reject(new Error('The server closed the stream without an answer')));
+            response.data.on('error', reject);
+        });
+    }
+}
+
+// Runs the bot in this process, configured from the environment like src/server.js.
+// State is kept in memory, so confirmations only last for an interactive session. The
+// LLM provider is only set up for analyze and chat, so status and history work without one.
+class EmbeddedClient {
+    constructor(env, logger = console) {
+        this.env = env;
+        this.logger = logger;
+        this.store = new MemoryStore();
+        this.github = new GitHubAuth({
+            token: env.GITHUB_TOKEN,
+            appId: env.GITHUB_APP_ID,
+            privateKey: loadAppPrivateKey(env),
+            store: this.store
+        });
+        this.bot = new GitHubBot({
+            github: this.github,
+            store: this.store,
+            pipelines: config.pipelines,
+            repoConfig: config.repoConfig,
+            logger
+        });
+        this.chatInterface = null;
+    }
+
+    // Pipeline resolver for analyses and fixes, created on first use
+    getResolver() {
+        if (!this.bot.resolver) {
+            const { env } = this;
+            this.bot.resolver = new PipelineResolver({
+                github: this.github,
+                openaiApiKey: env.OPENAI_API_KEY,
+                store: this.store,
+                logger: this.logger,
+                llm: {
+                    provider: env.LLM_PROVIDER,
+                    model: env.LLM_MODEL,
+                    timeout: env.LLM_TIMEOUT_MS,
+                    maxTokens: env.LLM_MAX_TOKENS,
+                    baseURL: env.LLM_BASE_URL,
+                    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+                    endpoint: env.AZURE_OPENAI_ENDPOINT,
+                    deployment: env.AZURE_OPENAI_DEPLOYMENT,
+                    apiVersion: env.AZURE_OPENAI_API_VERSION
+                }
+            });
+        }
+        return this.bot.resolver;
+    }
+
+    getWorkflows(owner, repo) {
+        return this.bot.getRepositoryStatus(owner, repo);
+    }
+
+    analyzeRun(owner, repo, runId, options = {}) {
+        this.getResolver();
+        return this.bot.analyzeRun(owner, repo, runId, options);
+    }
+
+    chat(message, userId, onEvent) {
+        if (!this.chatInterface) {
+            const resolver = this.getResolver();
+            this.chatInterface = new ChatInterface(this.bot, resolver, {
+                store: this.store,
+                llm: this.env.CHAT_LLM_FALLBACK === 'true' ? resolver.llm : null,
+                logger: this.logger
+            });
+        }
+        return this.chatInterface.handleMessage(message, userId, { onEvent });
+    }
+}
+
+// Logger for the embedded bot that drops its progress logs and writes warnings and
+// errors to the stream as one line each
+function quietLogger(stream) {
+    const write = (...args) => {
+        const text = args.map(arg => (arg instanceof Error ? arg.message : arg));
+        stream.write(`${format(...text)}\n`);
+    };
+    return { log() {}, info() {}, warn: write, error: write };
+}
+
+// Terminal columns taken by text; the status emoji are two columns wide
+function displayWidth(text) {
+    return [...text]
+        .filter(char => char !== '\uFE0F')
+        .reduce((width, char) => width + (char.codePointAt(0) >= 0x2300 ? 2 : 1), 0);
+}
+
+function table(headers, rows) {
+    const widths = headers.map((header, index) =>
+        Math.max(displayWidth(header), ...rows.map(row => displayWidth(String(row[index])))));
+    const line = cells => cells
+        .map((cell, index) => String(cell) + ' '.repeat(widths[index] - displayWidth(String(cell))))
+        .join('  ')
+        .trimEnd();
+
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function statusLabel(run) {
+    const emoji = { success: '✅', failure: '❌', cancelled: '⏹️' }[run.conclusion] ||
+        { in_progress: '🔄', queued: '⏳' }[run.status] || '❓';
+    return `${emoji} ${run.conclusion || run.status || 'unknown'}`;
+}
+
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return '-';
+    }
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${Math.round(seconds % 60)}s` : `${Math.round(seconds)}s`;
+}
+
+function formatAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - Date.parse(timestamp)) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    return `${Math.floor(minutes / (24 * 60))}d ago`;
+}
+
+// Chat markdown for a terminal: bold when it is one, links as "text (url)"
+function renderMarkdown(markdown, tty) {
+    return markdown
+        .replace(/\*\*(.+?)\*\*/g, tty ? '\x1b[1m$1\x1b[0m' : '$1')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)');
+}
+
+function describeError(error) {
+    const data = error.response && error.response.data;
+    if (data && typeof data === 'object' && (data.details || data.error)) {
+        return data.details || data.error;
+    }
+    return error.message;
+}
+
+// Terminal client for the bot: status, history and analyze print tables or --json, and
+// chat talks to the chat interface. out and err are the output streams.
+class Cli {
+    constructor(options = {}) {
+        this.out = options.out || process.stdout;
+        this.err = options.err || process.stderr;
+        this.env = options.env || process.env;
+        this.input = options.input || process.stdin;
+    }
+
+    print(text = '') {
+        this.out.write(`${text}\n`);
+    }
+
+    // Parse arguments and run a command; resolves with the exit code
+    async run(argv) {
+        let values;
+        let positionals;
+        try {
+            ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+        } catch (error) {
+            this.err.write(`${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+
+        if (values.help) {
+            this.print(USAGE);
+            return 0;
+        }
+
+        const [command = 'chat', ...args] = positionals;
+        try {
+            const filters = this.parseFilters(values);
+            const client = this.createClient(values);
+            switch (command) {
+                case 'status':
+                    return await this.status(client, this.parseRepository(args), filters, values);
+                case 'history':
+                    return await this.history(client, this.parseRepository(args), filters, values);
+                case 'analyze':
+                    return await this.analyze(client, args, filters, values);
+                case 'chat':
+                    return args.length > 0
+                        ? await this.ask(client, args.join(' '), values)
+                        : await this.repl(client, values);
+                default:
+                    throw new UsageError(`Unknown command: ${command}`);
+            }
+        } catch (error) {
+            if (error instanceof UsageError) {
+                this.err.write(`${error.message}\n\n${USAGE}\n`);
+                return 2;
+            }
+            this.err.write(`❌ ${describeError(error)}\n`);
+            return 1;
+        }
+    }
+
+    createClient(values) {
+        const server = values.server || this.env.CI_BOT_URL;
+        if (server) {
+            return new RemoteClient(server, this.env.ADMIN_TOKEN);
+        }
+        return new EmbeddedClient(this.env, values.verbose ? console : quietLogger(this.err));
+    }
+
+    parseRepository(args) {
+        const { repository } = extractEntities(args.join(' '));
+        if (!repository) {
+            throw new UsageError('Please give a repository as owner/repo');
+        }
+        return repository;
+    }
+
+    // --workflow, --branch and --since as the chat's filters
+    parseFilters(values) {
+        let timeRange = null;
+        if (values.since) {
+            timeRange = parseTimeRange(/^\d{4}-\d{2}-\d{2}/.test(values.since) ? `since ${values.since}` : values.since);
+            if (!timeRange) {
+                throw new UsageError(`Cannot read --since ${values.since}; use a date or e.g. "last 3 days"`);
+            }
+        }
+        return { workflow: values.workflow || null, branch: values.branch || null, timeRange };
+    }
+
+    describeFilters(filters) {
+        const parts = [filters.workflow, filters.branch, filters.timeRange && filters.timeRange.label].filter(Boolean);
+        return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+    }
+
+    // Latest run of every workflow, like the chat's status answer
+    async status(client, { owner, name }, filters, values) {
+        const status = await client.getWorkflows(owner, name);
+        const workflows = selectRuns(status.workflows, filters);
+        const activeJobs = (status.active_jobs || []).filter(job =>
+            workflows.some(workflow => workflow.recent_runs.some(run => run.id === job.run_id)));
+
+        if (values.json) {
+            this.print(JSON.stringify({ repository: status.repository, workflows, active_jobs: activeJobs }, null, 2));
+            return 0;
+        }
+
+        this.print(`📊 Status for ${status.repository}${this.describeFilters(filters)}\n`);
+        if (workflows.length === 0) {
+            this.print('No workflows found in this repository.');
+            return 0;
+        }
+
+        this.print(table(['Workflow', 'Status', 'Branch', 'Started', 'Run'], workflows.map(workflow => {
+            const [run] = workflow.recent_runs;
+            return run
+                ? [workflow.workflow_name, statusLabel(run), run.head_branch || '-', formatAgo(run.created_at), run.html_url]
+                : [workflow.workflow_name, 'no runs', '-', '-', '-'];
+        })));
+
+        if (activeJobs.length > 0) {
+            this.print('\nActive jobs\n');
+            this.print(table(['Job', 'State', 'Queued', 'Running', 'Step', 'Run'], activeJobs.map(job => [
+                job.name,
+                job.status,
+                formatDuration(job.queued_seconds),
+                job.status === 'in_progress' ? formatDuration(job.running_seconds) : '-',
+                job.current_step || '-',
+                job.run_id
+            ])));
+        }
+        return 0;
+    }
+
+    // Recent runs of every workflow, like the chat's history answer
+    async history(client, { owner, name }, filters, values) {
+        const status = await client.getWorkflows(owner, name);
+        const workflows = selectRuns(status.workflows, filters);
+
+        if (values.json) {
+            this.print(JSON.stringify({ repository: status.repository, workflows }, null, 2));
+            return 0;
+        }
+
+        this.print(`📈 Pipeline history for ${status.repository}${this.describeFilters(filters)}`);
+        if (workflows.length === 0) {
+            this.print('\nNo workflows found in this repository.');
+            return 0;
+        }
+
+        for (const workflow of workflows) {
+            this.print(`\n${workflow.workflow_name} (${workflow.workflow_path})\n`);
+            if (workflow.recent_runs.length === 0) {
+                this.print('No recent runs found.');
+                continue;
+            }
+            this.print(table(['Run', 'Status', 'Branch', 'Duration', 'Started', 'URL'], workflow.recent_runs.map(run => [
+                run.id,
+                statusLabel(run),
+                run.head_branch || '-',
+                run.status === 'completed' ? formatDuration((Date.parse(run.updated_at) - Date.parse(run.created_at)) / 1000) : '-',
+                formatAgo(run.created_at),
+                run.html_url
+            ])));
+        }
+        return 0;
+    }
+
+    // Analyze a run given by URL or id, or the most recent failed run
+    async analyze(client, args, filters, values) {
+        const { repository, runId } = extractEntities(args.join(' '));
+        if (!repository) {
+            throw new UsageError('Please give a run URL or owner/repo [run-id]');
+        }
+
+        let id = runId;
+        if (!id) {
+            const status = await client.getWorkflows(repository.owner, repository.name);
+            const failed = selectRuns(status.workflows, filters)
+                .flatMap(workflow => workflow.recent_runs)
+                .filter(run => run.conclusion === 'failure')
+                .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))[0];
+            if (!failed) {
+                this.print(`✅ No recent failures found for ${repository.owner}/${repository.name}${this.describeFilters(filters)}`);
+                return 0;
+            }
+            id = failed.id;
+        }
+
+        if (!values.json) {
+            this.err.write(`⏳ Analyzing run ${id} of ${repository.owner}/${repository.name}...\n`);
+        }
+        const result = await client.analyzeRun(repository.owner, repository.name, id, { fresh: values.fresh });
+
+        if (values.json) {
+            this.print(JSON.stringify(result, null, 2));
+            return 0;
+        }
+
+        const { run, analysis, fingerprint, occurrences } = result;
+        this.print(`🔍 Analysis of ${run.name} run ${run.id} (${run.head_branch}, attempt ${run.attempt})`);
+        this.print(`${run.html_url}\n`);
+        if (occurrences.count > 1) {
+            this.print(`🔁 Seen ${occurrences.count} times since ${new Date(occurrences.first_seen).toLocaleDateString()} (fingerprint ${fingerprint})\n`);
+        }
+        this.print(`Root cause:    ${analysis.root_cause}`);
+        if (analysis.failing_step) {
+            this.print(`Failing step:  ${analysis.failing_step}`);
+        }
+        if (analysis.file_references && analysis.file_references.length > 0) {
+            this.print(`Files:         ${analysis.file_references.map(ref => ref.line ? `${ref.path}:${ref.line}` : ref.path).join(', ')}`);
+        }
+        if (analysis.failure_reason) {
+            this.print(`⚠️ Analysis incomplete: ${analysis.failure_reason}`);
+        }
+        this.print(`Auto-fixable:  ${analysis.is_minor ? 'yes' : 'no'}`);
+        this.print(`Confidence:    ${analysis.confidence}/10`);
+
+        if (analysis.fixes.length > 0) {
+            this.print('\nRecommended fixes:');
+            analysis.fixes.forEach((fix, index) => this.print(`  ${index + 1}. ${fix}`));
+        }
+        if (analysis.commands.length > 0) {
+            this.print('\nCommands:');
+            analysis.commands.forEach(command => this.print(`  $ ${command}`));
+        }
+        return 0;
+    }
+
+    // Chat sessions of the CLI belong to the local user
+    userId() {
+        return `cli:${os.userInfo().username}`;
+    }
+
+    // One chat message; progress goes to stderr so the answer can be piped
+    async ask(client, message, values) {
+        const actions = [];
+        const response = await client.chat(message, this.userId(), event => {
+            if (event.type === 'action') {
+                actions.push({ label: event.label, command: event.command });
+            } else if (event.type === 'progress' && !values.json) {
+                this.err.write(`⏳ ${event.message}...\n`);
+            }
+        });
+
+        if (values.json) {
+            this.print(JSON.stringify({ response, actions }, null, 2));
+            return 0;
+        }
+
+        this.print(renderMarkdown(response, Boolean(this.out.isTTY)));
+        if (actions.length > 0) {
+            this.print(`\n${actions.map(action => `[${action.label}] ${action.command}`).join('   ')}`);
+        }
+        return 0;
+    }
+
+    // Interactive chat until "exit" or end of input
+    async repl(client, values) {
+        this.print('🤖 GitHub CI/CD Bot. Ask me anything, "help" for examples, "exit" to leave.');
+        const rl = readline.createInterface({ input: this.input, output: this.out, prompt: 'ci-bot> ' });
+
+        rl.prompt();
+        for await (const line of rl) {
+            const message = line.trim();
+            if (['exit', 'quit'].includes(message.toLowerCase())) {
+                break;
+            }
+            if (message) {
+                try {
+                    await this.ask(client, message, values);
+                } catch (error) {
+                    this.err.write(`❌ ${describeError(error)}\n`);
+                }
+            }
+            rl.prompt();
+        }
+        rl.close();
+        return 0;
+    }
+}
+
+export { RemoteClient, EmbeddedClient };
+export default Cli;
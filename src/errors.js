@@ -0,0 +1,30 @@
+// Network failures that usually succeed when retried
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED'];
+
+// OpenAI SDK errors raised before any response was received
+const TRANSIENT_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+// Whether an Octokit, OpenAI or axios error is worth retrying: rate limits,
+// timeouts, server errors and dropped connections
+function isTransientError(error) {
+    if (!error) {
+        return false;
+    }
+
+    const status = error.status || (error.response && error.response.status);
+    if (status === 408 || status === 429 || status >= 500) {
+        return true;
+    }
+
+    // GitHub reports secondary rate limits as 403 with a retry-after header
+    const headers = (error.response && error.response.headers) || error.headers || {};
+    if (status === 403 && (headers['retry-after'] || headers['x-ratelimit-remaining'] === '0')) {
+        return true;
+    }
+
+    return TRANSIENT_CODES.includes(error.code) ||
+        TRANSIENT_NAMES.includes(error.constructor && error.constructor.name) ||
+        TRANSIENT_NAMES.includes(error.name);
+}
+
+export { isTransientError };
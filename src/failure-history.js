@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { isErrorLine } from '../RegressionTesting/utils/failure-classifier.js';
+
+// Fingerprints are kept for 90 days after the last occurrence
+const FINGERPRINT_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Only the first distinct error lines are fingerprinted; later ones are usually cascades
+const MAX_FINGERPRINT_LINES = 30;
+
+// Run ids remembered per fingerprint
+const MAX_TRACKED_RUNS = 50;
+
+// Volatile parts of log lines, masked in this order
+const MASKS = [
+    [/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?/g, '<ts>'],
+    [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+    [/(^|[\s'"(=])(?:[A-Za-z]:\\|\.{0,2}\/|~\/)[^\s'"):,]+/g, '$1<path>'],
+    [/\b[0-9a-f]{7,}\b/gi, '<hash>'],
+    [/\b\d+(?:\.\d+)*\b/g, '<n>']
+];
+
+function normalizeErrorLine(line) {
+    return MASKS
+        .reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), line)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Steps without recognizable error lines are fingerprinted by this many last lines
+const TAIL_LINES = 10;
+
+// Split a failure log into its job/step sections; text before the first header has none
+function splitSections(logs) {
+    const sections = [{ header: null, lines: [] }];
+    for (const line of String(logs || '').split('\n')) {
+        if (line.startsWith('### Job:')) {
+            sections.push({ header: line, lines: [] });
+        } else {
+            sections[sections.length - 1].lines.push(line);
+        }
+    }
+    return sections;
+}
+
+// Hash of the job/step headers and normalized error lines of a failure log. A step
+// without error lines contributes the tail of its log, so unrelated failures of the
+// same step do not share a fingerprint.
+function computeFingerprint(logs) {
+    const lines = [];
+    const add = line => {
+        const normalized = normalizeErrorLine(line);
+        if (normalized && !lines.includes(normalized)) {
+            lines.push(normalized);
+        }
+    };
+
+    for (const section of splitSections(logs)) {
+        if (lines.length >= MAX_FINGERPRINT_LINES) {
+            break;
+        }
+        if (section.header) {
+            add(section.header);
+        }
+
+        const errors = section.lines.filter(line => isErrorLine(line));
+        const tail = section.lines.filter(line => line.trim()).slice(-TAIL_LINES);
+        (errors.length > 0 ? errors : tail).forEach(add);
+    }
+
+    return crypto
+        .createHash('sha256')
+        .update(lines.slice(0, MAX_FINGERPRINT_LINES).join('\n'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Failure occurrences grouped by fingerprint, with the analysis of the first one
+class FailureHistory {
+    constructor(store) {
+        this.fingerprints = store.collection('fingerprints', { ttl: FINGERPRINT_TTL_MS });
+    }
+
+    key(repository, fingerprint) {
+        return `${repository}:${fingerprint}`;
+    }
+
+    async lookup(repository, fingerprint) {
+        return this.fingerprints.get(this.key(repository, fingerprint));
+    }
+
+    // Record a failed run; repeated calls for the same run are not counted twice
+    async record(repository, fingerprint, { runId, workflow, analysis }) {
+        const now = new Date().toISOString();
+        const entry = (await this.lookup(repository, fingerprint)) || {
+            fingerprint,
+            repository,
+            workflow,
+            first_seen: now,
+            count: 0,
+            run_ids: [],
+            analysis: null
+        };
+
+        if (!entry.run_ids.includes(runId)) {
+            entry.count++;
+            entry.run_ids = [...entry.run_ids, runId].slice(-MAX_TRACKED_RUNS);
+        }
+        entry.last_seen = now;
+        entry.workflow = workflow || entry.workflow;
+        if (analysis && !analysis.failure_reason) {
+            entry.analysis = analysis;
+        }
+
+        await this.fingerprints.set(this.key(repository, fingerprint), entry);
+        return entry;
+    }
+
+    // Fingerprint groups for a repository, most frequent first
+    async list(repository) {
+        const entries = await this.fingerprints.values();
+        return entries
+            .filter(entry => !repository || entry.repository === repository)
+            .sort((a, b) => b.count - a.count);
+    }
+}
+
+export { computeFingerprint, normalizeErrorLine };
+export default FailureHistory;
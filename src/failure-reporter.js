@@ -0,0 +1,294 @@
+// Hidden marker identifying the bot's sticky comment for a workflow on a pull request or commit
+const STICKY_MARKER_PREFIX = '<!-- ci-bot:failure-analysis';
+
+const CHECK_NAME = 'CI Bot Analysis';
+const STATUS_CONTEXT = 'ci-bot/analysis';
+const CONFIG_CHECK_NAME = 'CI Bot Config';
+
+// Button on the analysis check run; GitHub limits labels to 20 and descriptions to 40 characters
+const REANALYZE_ACTION = {
+    label: 'Re-run analysis',
+    description: 'Analyze the failed run again',
+    identifier: 'reanalyze'
+};
+const CONFIG_STATUS_CONTEXT = 'ci-bot/config';
+
+// Publishes failure analyses where developers see them: a check run (or commit
+// status) on the head SHA plus a sticky PR comment, or a commit comment when no
+// pull request is involved
+class FailureReporter {
+    constructor(github, options = {}) {
+        this.github = github;
+        this.pullRequests = options.pullRequests || null;
+        this.logger = options.logger || console;
+    }
+
+    async report(owner, repo, workflowRun, analysis, outcome) {
+        const body = this.formatReport(workflowRun, analysis, outcome);
+
+        await this.publishCheck(owner, repo, workflowRun.head_sha, {
+            name: CHECK_NAME,
+            context: STATUS_CONTEXT,
+            conclusion: 'neutral',
+            state: 'failure',
+            detailsUrl: workflowRun.html_url,
+            // Lets check_run rerequested and requested_action events find the workflow run
+            externalId: String(workflowRun.id),
+            actions: [REANALYZE_ACTION],
+            title: `${workflowRun.name}: ${analysis.root_cause}`,
+            summary: body,
+            description: `${analysis.root_cause} (confidence ${analysis.confidence}/10)`
+        });
+
+        const pullNumbers = await this.getPullRequestNumbers(owner, repo, workflowRun);
+        if (pullNumbers.length === 0) {
+            await this.safely(`commit comment for run ${workflowRun.id}`, () =>
+                this.upsertCommitComment(owner, repo, workflowRun, body)
+            );
+            return;
+        }
+
+        for (const number of pullNumbers) {
+            await this.safely(`PR comment on #${number}`, () =>
+                this.upsertStickyComment(owner, repo, number, workflowRun, body)
+            );
+        }
+    }
+
+    // Edit an existing sticky comment once a later run of the workflow passes
+    async reportResolved(owner, repo, workflowRun) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        const pullNumbers = await this.getPullRequestNumbers(owner, repo, workflowRun);
+
+        for (const number of pullNumbers) {
+            await this.safely(`PR comment on #${number}`, async () => {
+                const existing = await this.findStickyComment(owner, repo, number, workflowRun);
+                if (!existing) {
+                    return;
+                }
+
+                const body = `### ✅ [${workflowRun.name}](${workflowRun.html_url}) is passing again\n\n` +
+                    `The failure previously reported here was resolved in \`${workflowRun.head_sha.slice(0, 7)}\`.`;
+                await octokit.issues.updateComment({
+                    owner,
+                    repo,
+                    comment_id: existing.id,
+                    body: `${this.stickyMarker(workflowRun)}\n${body}`
+                });
+            });
+        }
+    }
+
+    // Check runs need GitHub App credentials; token auth falls back to a commit status
+    async publishCheck(owner, repo, sha, check) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        try {
+            await octokit.checks.create({
+                owner,
+                repo,
+                name: check.name,
+                head_sha: sha,
+                status: 'completed',
+                conclusion: check.conclusion,
+                details_url: check.detailsUrl,
+                external_id: check.externalId,
+                actions: check.actions,
+                output: {
+                    title: this.truncate(check.title, 255),
+                    summary: check.summary
+                }
+            });
+        } catch (error) {
+            if (error.status !== 403 && error.status !== 422) {
+                this.logger.error(`Failed to create ${check.name} check run on ${sha}:`, error.message);
+                return;
+            }
+
+            await this.safely(`${check.context} commit status on ${sha}`, () =>
+                octokit.repos.createCommitStatus({
+                    owner,
+                    repo,
+                    sha,
+                    state: check.state,
+                    context: check.context,
+                    target_url: check.detailsUrl,
+                    description: this.truncate(check.description, 140)
+                })
+            );
+        }
+    }
+
+    // Invalid .github/ci-bot.yml files are reported on the commit that introduced them
+    async reportConfigErrors(owner, repo, sha, path, errors) {
+        let summary = `\`${path}\` is invalid and was ignored; defaults are used instead.\n\n`;
+        errors.forEach(error => {
+            summary += `- ${error}\n`;
+        });
+
+        await this.publishCheck(owner, repo, sha, {
+            name: CONFIG_CHECK_NAME,
+            context: CONFIG_STATUS_CONTEXT,
+            conclusion: 'failure',
+            state: 'failure',
+            title: `Invalid ${path}`,
+            summary,
+            description: `Invalid ${path}: ${errors[0]}`
+        });
+    }
+
+    async upsertStickyComment(owner, repo, issueNumber, workflowRun, body) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        const existing = await this.findStickyComment(owner, repo, issueNumber, workflowRun);
+        const stickyBody = `${this.stickyMarker(workflowRun)}\n${body}`;
+
+        if (existing) {
+            await octokit.issues.updateComment({
+                owner,
+                repo,
+                comment_id: existing.id,
+                body: stickyBody
+            });
+        } else {
+            await octokit.issues.createComment({
+                owner,
+                repo,
+                issue_number: issueNumber,
+                body: stickyBody
+            });
+        }
+    }
+
+    // Reruns and retried deliveries of a commit's workflow edit its earlier comment
+    async upsertCommitComment(owner, repo, workflowRun, body) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        const marker = this.stickyMarker(workflowRun);
+        const comments = await octokit.paginate(octokit.repos.listCommentsForCommit, {
+            owner,
+            repo,
+            commit_sha: workflowRun.head_sha,
+            per_page: 100
+        });
+        const existing = comments.find(comment => comment.body && comment.body.startsWith(marker));
+        const stickyBody = `${marker}\n${body}`;
+
+        if (existing) {
+            await octokit.repos.updateCommitComment({
+                owner,
+                repo,
+                comment_id: existing.id,
+                body: stickyBody
+            });
+        } else {
+            await octokit.repos.createCommitComment({
+                owner,
+                repo,
+                commit_sha: workflowRun.head_sha,
+                body: stickyBody
+            });
+        }
+    }
+
+    // One sticky comment per workflow, so each workflow's report is edited independently
+    stickyMarker(workflowRun) {
+        return `${STICKY_MARKER_PREFIX} workflow=${workflowRun.workflow_id} -->`;
+    }
+
+    async findStickyComment(owner, repo, issueNumber, workflowRun) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        const marker = this.stickyMarker(workflowRun);
+        const comments = await octokit.paginate(octokit.issues.listComments, {
+            owner,
+            repo,
+            issue_number: issueNumber,
+            per_page: 100
+        });
+
+        return comments.find(comment => comment.body && comment.body.startsWith(marker)) || null;
+    }
+
+    // Runs from forks carry no pull_requests, so look them up by commit
+    async getPullRequestNumbers(owner, repo, workflowRun) {
+        if (workflowRun.pull_requests && workflowRun.pull_requests.length > 0) {
+            return workflowRun.pull_requests.map(pullRequest => pullRequest.number);
+        }
+
+        if (workflowRun.event !== 'pull_request' && workflowRun.event !== 'pull_request_target') {
+            return [];
+        }
+
+        // pull_request webhooks index open pull requests by head SHA
+        const known = this.pullRequests && await this.pullRequests.get(`${owner}/${repo}@${workflowRun.head_sha}`);
+        if (known) {
+            return [known.number];
+        }
+
+        try {
+            const octokit = await this.github.getOctokit(owner, repo);
+            const { data: pullRequests } = await octokit.repos.listPullRequestsAssociatedWithCommit({
+                owner,
+                repo,
+                commit_sha: workflowRun.head_sha
+            });
+            return pullRequests
+                .filter(pullRequest => pullRequest.state === 'open')
+                .map(pullRequest => pullRequest.number);
+        } catch (error) {
+            this.logger.error(`Failed to find pull requests for ${workflowRun.head_sha}:`, error.message);
+            return [];
+        }
+    }
+
+    formatReport(workflowRun, analysis, outcome) {
+        let body = `### ❌ [${workflowRun.name}](${workflowRun.html_url}) failed\n\n`;
+        body += `**Root Cause:** ${analysis.root_cause}\n`;
+        if (analysis.failing_step) {
+            body += `**Failing Step:** ${analysis.failing_step}\n`;
+        }
+        body += `**Confidence:** ${analysis.confidence}/10\n`;
+        if (outcome.occurrences > 1) {
+            body += `**Seen:** ${outcome.occurrences} times (fingerprint \`${outcome.fingerprint}\`)\n`;
+        }
+
+        if (analysis.fixes && analysis.fixes.length > 0) {
+            body += `\n**Recommended Fixes:**\n`;
+            analysis.fixes.forEach((fix, index) => {
+                body += `${index + 1}. ${fix}\n`;
+            });
+        }
+
+        body += `\n**Outcome:** ${outcome.message}\n`;
+        outcome.pull_requests.forEach(url => {
+            body += `- Fix pull request: ${url}\n`;
+        });
+        if (outcome.rerun) {
+            const attempt = outcome.rerun.html_url
+                ? `[attempt ${outcome.rerun.attempt}](${outcome.rerun.html_url})`
+                : `attempt ${outcome.rerun.attempt}`;
+            body += `- 🔄 ${outcome.rerun.scope === 'failed_jobs' ? 'Failed jobs' : 'Workflow'} restarted as ${attempt}` +
+                `${outcome.rerun.debug_logging ? ' with debug logging' : ''}\n`;
+        }
+
+        body += `\n<sub>Commit ${workflowRun.head_sha.slice(0, 7)} · attempt ${outcome.attempt}</sub>\n`;
+        return body;
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    async safely(description, action) {
+        try {
+            await action();
+        } catch (error) {
+            this.logger.error(`Failed to post ${description}:`, error.message);
+        }
+    }
+}
+
+export { CHECK_NAME, REANALYZE_ACTION };
+export default FailureReporter;
@@ -0,0 +1,204 @@
+import { Octokit } from '@octokit/rest';
+import crypto from 'crypto';
+import fs from 'fs';
+import { MemoryStore } from './store.js';
+
+// App JWTs may live at most 10 minutes; stay under that to allow for clock drift
+const APP_JWT_TTL_SECONDS = 9 * 60;
+
+// Installation tokens last an hour and are refreshed this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Octokit auth strategy that asks for a token on every request, so clients never
+// hold an expired installation token
+function createTokenAuth({ getToken }) {
+    const auth = async () => ({ type: 'token', tokenType: 'installation', token: await getToken() });
+
+    auth.hook = async (request, route, parameters) => {
+        const endpoint = request.endpoint.merge(route, parameters);
+        endpoint.headers.authorization = `token ${await getToken()}`;
+        return request(endpoint);
+    };
+
+    return auth;
+}
+
+// PEM from GITHUB_APP_PRIVATE_KEY (newlines may be escaped) or GITHUB_APP_PRIVATE_KEY_PATH
+function loadAppPrivateKey(env) {
+    if (env.GITHUB_APP_PRIVATE_KEY) {
+        return env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+    if (env.GITHUB_APP_PRIVATE_KEY_PATH) {
+        return fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    }
+    return null;
+}
+
+// Hands out the Octokit client for a repository. With a personal access token
+// every repository shares one client; as a GitHub App each installation gets
+// its own client backed by short-lived installation tokens.
+class GitHubAuth {
+    constructor(config = {}) {
+        this.token = config.token;
+        this.appId = config.appId;
+        this.privateKey = config.privateKey;
+        this.isApp = Boolean(this.appId && this.privateKey);
+
+        // Repository -> installation id, kept up to date by installation webhooks
+        this.installations = (config.store || new MemoryStore()).collection('installations');
+
+        // Tokens and clients are secrets and stay in memory only
+        this.installationTokens = new Map();
+        this.installationClients = new Map();
+
+        if (!this.isApp) {
+            this.octokit = new Octokit({ auth: this.token });
+        }
+    }
+
+    // RS256 JSON Web Token identifying the app itself
+    createAppJwt() {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url({ alg: 'RS256', typ: 'JWT' });
+        const payload = base64url({ iat: now - 60, exp: now + APP_JWT_TTL_SECONDS, iss: String(this.appId) });
+
+        const signature = crypto
+            .createSign('RSA-SHA256')
+            .update(`${header}.${payload}`)
+            .sign(this.privateKey, 'base64url');
+
+        return `${header}.${payload}.${signature}`;
+    }
+
+    getAppOctokit() {
+        return new Octokit({ auth: this.createAppJwt() });
+    }
+
+    async getOctokit(owner, repo) {
+        if (!this.isApp) {
+            return this.octokit;
+        }
+
+        return this.getInstallationOctokit(await this.getInstallationId(owner, repo));
+    }
+
+    // Raw token for requests made outside Octokit, such as log downloads
+    async getToken(owner, repo) {
+        if (!this.isApp) {
+            return this.token;
+        }
+
+        return this.getInstallationToken(await this.getInstallationId(owner, repo));
+    }
+
+    getInstallationOctokit(installationId) {
+        if (!this.installationClients.has(installationId)) {
+            this.installationClients.set(installationId, new Octokit({
+                authStrategy: createTokenAuth,
+                auth: { getToken: () => this.getInstallationToken(installationId) }
+            }));
+        }
+
+        return this.installationClients.get(installationId);
+    }
+
+    // Cached installation token, minted again shortly before it expires.
+    // Concurrent callers share a single mint request.
+    async getInstallationToken(installationId) {
+        const cached = this.installationTokens.get(installationId);
+        if (cached && (cached.pending || cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS)) {
+            return cached.pending || cached.token;
+        }
+
+        const pending = this.getAppOctokit().apps.createInstallationAccessToken({
+            installation_id: installationId
+        }).then(({ data }) => {
+            this.installationTokens.set(installationId, {
+                token: data.token,
+                expiresAt: new Date(data.expires_at).getTime()
+            });
+            return data.token;
+        }, error => {
+            this.installationTokens.delete(installationId);
+            throw error;
+        });
+
+        this.installationTokens.set(installationId, { pending });
+        return pending;
+    }
+
+    // Installation serving a repository; looked up once when no webhook has told us
+    async getInstallationId(owner, repo) {
+        const fullName = `${owner}/${repo}`;
+        const known = await this.installations.get(fullName);
+        if (known) {
+            return known.installation_id;
+        }
+
+        try {
+            const { data: installation } = await this.getAppOctokit().apps.getRepoInstallation({ owner, repo });
+            await this.addRepositories(installation.id, [{ full_name: fullName }]);
+            return installation.id;
+        } catch (error) {
+            if (error.status === 404) {
+                throw new Error(`GitHub App is not installed on ${fullName}`);
+            }
+            throw error;
+        }
+    }
+
+    async addRepositories(installationId, repositories) {
+        for (const repository of repositories) {
+            await this.installations.set(repository.full_name, {
+                repository: repository.full_name,
+                installation_id: installationId,
+                added_at: new Date().toISOString()
+            });
+        }
+    }
+
+    async removeRepositories(repositories) {
+        for (const repository of repositories) {
+            await this.installations.delete(repository.full_name);
+        }
+    }
+
+    async getInstallationRepositories(installationId) {
+        const entries = await this.installations.values();
+        return entries
+            .filter(entry => entry.installation_id === installationId)
+            .map(entry => ({ full_name: entry.repository }));
+    }
+
+    async removeInstallation(installationId) {
+        await this.removeRepositories(await this.getInstallationRepositories(installationId));
+
+        this.installationTokens.delete(installationId);
+        this.installationClients.delete(installationId);
+    }
+
+    // Replace the stored repositories of an installation with what GitHub reports
+    async syncInstallation(installationId) {
+        const octokit = this.getInstallationOctokit(installationId);
+        const repositories = await octokit.paginate(octokit.apps.listReposAccessibleToInstallation, {
+            per_page: 100
+        });
+
+        await this.removeRepositories(await this.getInstallationRepositories(installationId));
+        await this.addRepositories(installationId, repositories);
+        return repositories.length;
+    }
+
+    // Repositories the bot serves (app mode only)
+    async listRepositories() {
+        const entries = await this.installations.values();
+        return entries.sort((a, b) => a.repository.localeCompare(b.repository));
+    }
+}
+
+export { loadAppPrivateKey };
+export default GitHubAuth;
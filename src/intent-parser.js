@@ -0,0 +1,359 @@
+import Ajv from 'ajv';
+
+const INTENT_TYPES = [
+    'status_check',
+    'trigger_release',
+    'rerun_workflow',
+    'cancel_run',
+    'pipeline_history',
+    'analyze_failure',
+    'confirm',
+    'cancel',
+    'help',
+    'conversation'
+];
+
+// Keyword rules per intent as [pattern, weight]. Each pattern counts once and the
+// weights of an intent add up to its score, capped at 100.
+const INTENT_RULES = {
+    status_check: [
+        [/\bstatus\b/, 60],
+        [/\b(check|how is|how's|latest|current(ly)?)\b/, 30],
+        [/\b(running|in progress|queued)\b/, 30]
+    ],
+    trigger_release: [
+        [/^(please\s+)?(release|deploy|ship|trigger|start|cut)\b/, 40],
+        [/\b(release|deploy|deployment|ship)\b/, 40],
+        [/\b(trigger|start|kick off|cut)\b/, 30],
+        [/\bartifact\b/, 30]
+    ],
+    rerun_workflow: [
+        [/\b(re-?run|retry|restart)\b/, 90]
+    ],
+    cancel_run: [
+        [/\b(cancel|stop|abort)\b.*\b(runs?|workflows?|builds?|pipelines?|jobs?)\b/, 90]
+    ],
+    pipeline_history: [
+        [/\bhistory\b/, 70],
+        [/\bruns\b/, 40],
+        [/\blast \d+\b/, 30]
+    ],
+    analyze_failure: [
+        [/\b(fail|failed|failure|failures|failing|broke|broken|errors?)\b/, 50],
+        [/\b(why|analy[sz]e|diagnose|investigate|what went wrong|root cause)\b/, 50]
+    ],
+    help: [
+        [/\bhelp\b|what can you do/, 90]
+    ]
+};
+
+// Intents whose scores are this close are ambiguous; intents that change something
+// must win by a wider margin
+const AMBIGUITY_MARGIN = 10;
+const MUTATING_AMBIGUITY_MARGIN = 30;
+const MUTATING_INTENTS = ['trigger_release', 'rerun_workflow', 'cancel_run'];
+
+// Below this confidence (0-1) the LLM fallback is asked, when one is configured
+const LLM_FALLBACK_THRESHOLD = 0.5;
+
+// Whole-message answers to pending actions, naming the action's token: "confirm KQT482",
+// "cancel KQT482" or "cancel all"
+const CONFIRM_PATTERN = /^(?:fix\s+)?(?:yes|y|yep|yeah|sure|ok|okay|go ahead|do it|please do|confirm(?:ed)?)(?:\s+([A-HJ-NP-Z]{3}\d{3}))?[\s.!]*$/i;
+const CANCEL_PATTERN = /^(?:fix\s+)?(?:no|n|nope|cancel|stop|abort|don'?t|never ?mind)(?:\s+([A-HJ-NP-Z]{3}\d{3}|all))?[\s.!]*$/i;
+
+// Reruns of only the failed jobs: "failed jobs", "the failed ones", "only the failed",
+// or "rerun failed" followed by nothing but the run's repository, workflow or id
+const FAILED_ONLY_PATTERN = /\bfailed\s+(?:jobs?|ones?|only)\b|\b(?:only|just)\s+(?:the\s+)?failed\b|\b(?:re-?run|retry|restart)\s+(?:the\s+)?failed(?=\s*$|\s*[.!?,]|\s+(?:of|in|for|on|from)\b)/i;
+
+// "on <word>" names a branch only for these names or names with / . _ - or digits
+const COMMON_BRANCHES = ['main', 'master', 'develop', 'development', 'dev', 'staging', 'production', 'trunk', 'next'];
+
+const INTENT_DESCRIPTIONS = {
+    status_check: 'check the current status',
+    trigger_release: 'trigger a release',
+    rerun_workflow: 'rerun a workflow',
+    cancel_run: 'cancel a run',
+    pipeline_history: 'show the run history',
+    analyze_failure: 'analyze a failure',
+    help: 'see what I can do'
+};
+
+// JSON Schema for intents returned by the LLM fallback
+const INTENT_SCHEMA = {
+    type: 'object',
+    required: ['type', 'confidence'],
+    properties: {
+        type: { enum: INTENT_TYPES.filter(type => !['confirm', 'cancel'].includes(type)) },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        repository: { type: ['string', 'null'], pattern: '^[A-Za-z0-9_.-]+/[A-Za-z0-9_.-]+$' },
+        workflow: { type: ['string', 'null'] },
+        branch: { type: ['string', 'null'] },
+        run_id: { type: ['integer', 'null'] },
+        artifact_id: { type: ['string', 'null'] },
+        since: { type: ['string', 'null'], format: 'date-time' },
+        clarification: { type: ['string', 'null'] }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.addFormat('date-time', value => !Number.isNaN(Date.parse(value))).compile(INTENT_SCHEMA);
+
+// Time ranges such as "today", "last 3 days", "past week" or "since 2024-05-01"
+function parseTimeRange(message, now = new Date()) {
+    const lower = message.toLowerCase();
+    const hour = 60 * 60 * 1000;
+    const units = { minute: hour / 60, hour, day: 24 * hour, week: 7 * 24 * hour };
+
+    const relative = lower.match(/\b(?:last|past)\s+(?:(\d+)\s+)?(minute|hour|day|week)s?\b/);
+    if (relative) {
+        const count = Number(relative[1] || 1);
+        return {
+            since: new Date(now - count * units[relative[2]]).toISOString(),
+            until: null,
+            label: relative[0],
+            text: relative[0]
+        };
+    }
+
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    if (/\btoday\b/.test(lower)) {
+        return { since: startOfDay.toISOString(), until: null, label: 'today', text: 'today' };
+    }
+    if (/\byesterday\b/.test(lower)) {
+        return {
+            since: new Date(startOfDay - units.day).toISOString(),
+            until: startOfDay.toISOString(),
+            label: 'yesterday',
+            text: 'yesterday'
+        };
+    }
+    if (/\bthis week\b/.test(lower)) {
+        return { since: new Date(now - units.week).toISOString(), until: null, label: 'this week', text: 'this week' };
+    }
+
+    const since = message.match(/\bsince\s+(\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?)/i);
+    if (since && !Number.isNaN(Date.parse(since[1]))) {
+        return { since: new Date(since[1]).toISOString(), until: null, label: since[0], text: since[0] };
+    }
+
+    return null;
+}
+
+// Repository, workflow, branch, run id, artifact id, time range and rerun options of a message
+function extractEntities(message) {
+    let rest = message;
+    const take = text => {
+        rest = rest.replace(text, ' ');
+    };
+
+    let branch = null;
+    const takeBranch = () => {
+        const branchMatch = rest.match(/\bbranch\s+([\w./-]+)/i) ||
+            rest.match(/\bon\s+(?:the\s+)?([\w./-]+?)\s+branch\b/i) ||
+            rest.match(/\bon\s+([\w./-]*[\w-])(?=$|[\s,.?!])/i);
+        if (branchMatch && (branchMatch[0].toLowerCase().includes('branch') ||
+            COMMON_BRANCHES.includes(branchMatch[1].toLowerCase()) || /[/._\d-]/.test(branchMatch[1]))) {
+            branch = branchMatch[1];
+            take(branchMatch[0]);
+        }
+    };
+
+    // With two owner/name-like words, as in "runs on feature/x in owner/repo", one is the branch
+    if ((rest.match(/(?:^|\s)[\w.-]+\/[\w.-]+/g) || []).length > 1) {
+        takeBranch();
+    }
+
+    // Links to runs name both the repository and the run
+    let repository = null;
+    let runId = null;
+    const url = rest.match(/github\.com\/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)(?:\/actions\/runs\/(\d+))?\S*/);
+    if (url) {
+        repository = { owner: url[1], name: url[2] };
+        runId = url[3] ? Number(url[3]) : null;
+        take(url[0]);
+    } else {
+        const repoMatch = rest.match(/(?:^|[\s(])([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]*[A-Za-z0-9_-])(?=$|[\s),.?!:;])/);
+        if (repoMatch) {
+            repository = { owner: repoMatch[1], name: repoMatch[2] };
+            take(`${repoMatch[1]}/${repoMatch[2]}`);
+        }
+    }
+
+    const timeRange = parseTimeRange(rest);
+    if (timeRange) {
+        take(timeRange.text);
+    }
+
+    const artifactMatch = rest.match(/\bartifact[:\s]+([A-Za-z0-9_.-]+)/i) || rest.match(/\b(v\d+\.\d+\.\d+[A-Za-z0-9_.-]*)/);
+    const artifactId = artifactMatch ? artifactMatch[1].replace(/\.$/, '') : null;
+    if (artifactMatch) {
+        take(artifactMatch[0]);
+    }
+
+    const workflowMatch = rest.match(/\b([\w.-]+\.ya?ml)\b/i) || rest.match(/\bworkflow\s+"([^"]+)"/i);
+    const workflow = workflowMatch ? workflowMatch[1] : null;
+    if (workflowMatch) {
+        take(workflowMatch[0]);
+    }
+
+    // A single job: job build, job "test (18.x)"
+    const jobMatch = rest.match(/\bjob\s+(?:"([^"]+)"|'([^']+)'|(\S+))/i);
+    const job = jobMatch ? jobMatch[1] || jobMatch[2] || jobMatch[3] : null;
+    if (jobMatch) {
+        take(jobMatch[0]);
+    }
+
+    if (!branch) {
+        takeBranch();
+    }
+
+    if (!runId) {
+        const runMatch = rest.match(/\brun\s*#?(\d+)\b/i) || rest.match(/\b(\d{4,})\b/);
+        runId = runMatch ? Number(runMatch[1]) : null;
+    }
+
+    return {
+        repository,
+        workflow,
+        branch,
+        runId,
+        artifactId,
+        timeRange: timeRange && { since: timeRange.since, until: timeRange.until, label: timeRange.label },
+        job,
+        failedOnly: FAILED_ONLY_PATTERN.test(message),
+        debug: /\bdebug\b/i.test(message)
+    };
+}
+
+// Score every intent against the keyword rules, best first
+function scoreIntents(message) {
+    const lower = message.toLowerCase();
+    return Object.entries(INTENT_RULES)
+        .map(([type, rules]) => ({
+            type,
+            score: Math.min(rules.reduce((total, [pattern, weight]) => total + (pattern.test(lower) ? weight : 0), 0), 100)
+        }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Turns chat messages into typed intents:
+// { type, confidence, source, repository, workflow, branch, runId, artifactId, timeRange,
+//   job, failedOnly, debug, clarification, message }, plus the token of confirm and cancel.
+// Keyword rules handle common commands; when they are unsure and an LLM provider is
+// given, the model is asked instead. Ambiguous messages get a clarification question.
+class IntentParser {
+    constructor(options = {}) {
+        this.llm = options.llm || null;
+        this.logger = options.logger || console;
+    }
+
+    async parse(message) {
+        const text = message.trim();
+        const entities = extractEntities(text);
+
+        const answer = text.match(CONFIRM_PATTERN) || text.match(CANCEL_PATTERN);
+        if (answer) {
+            return {
+                type: CONFIRM_PATTERN.test(text) ? 'confirm' : 'cancel',
+                confidence: 1,
+                source: 'rules',
+                ...entities,
+                token: answer[1] ? answer[1].toUpperCase() : null,
+                clarification: null,
+                message
+            };
+        }
+
+        const intent = this.parseWithRules(text, entities);
+        intent.message = message;
+
+        if (this.llm && (intent.confidence < LLM_FALLBACK_THRESHOLD || intent.clarification)) {
+            const llmIntent = await this.parseWithLlm(text, entities);
+            if (llmIntent) {
+                return { ...llmIntent, message };
+            }
+        }
+
+        return intent;
+    }
+
+    parseWithRules(text, entities) {
+        const [best, runnerUp] = scoreIntents(text);
+        if (!best) {
+            return { type: 'conversation', confidence: 0, source: 'rules', ...entities, clarification: null };
+        }
+
+        const intent = {
+            type: best.type,
+            confidence: best.score / 100,
+            source: 'rules',
+            ...entities,
+            clarification: null
+        };
+
+        const margin = MUTATING_INTENTS.includes(best.type) ? MUTATING_AMBIGUITY_MARGIN : AMBIGUITY_MARGIN;
+        if (runnerUp && best.score - runnerUp.score < margin) {
+            intent.clarification = `Do you want to ${INTENT_DESCRIPTIONS[best.type]} or ${INTENT_DESCRIPTIONS[runnerUp.type]}` +
+                `${entities.repository ? ` for ${entities.repository.owner}/${entities.repository.name}` : ''}?`;
+            intent.candidates = [best.type, runnerUp.type];
+        }
+
+        return intent;
+    }
+
+    // Ask the model for a typed intent; null when it fails or replies with an invalid intent
+    async parseWithLlm(text, entities) {
+        try {
+            const content = await this.llm.complete({
+                task: 'intent',
+                system: 'You classify requests to a GitHub CI/CD bot. Always respond with valid JSON only, no markdown formatting or explanations.',
+                prompt: `
+Classify this message and extract its entities. Respond with JSON:
+- "type": one of ${INTENT_SCHEMA.properties.type.enum.join(', ')}
+- "confidence": number from 0 to 1
+- "repository": "owner/repo" or null
+- "workflow": workflow name or file, or null
+- "branch": branch name or null
+- "run_id": workflow run id or null
+- "artifact_id": release artifact id or null
+- "since": ISO 8601 start of the time range the message refers to, or null
+- "clarification": a short question to ask when the message is ambiguous, otherwise null
+
+Current time: ${new Date().toISOString()}
+
+Message:
+${text}`
+            });
+
+            const reply = JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+            if (!validate(reply)) {
+                this.logger.warn(`Invalid intent from ${this.llm.name}:`, validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`));
+                return null;
+            }
+
+            // Entities found by the rules are exact; the model fills in the rest
+            const [owner, name] = (reply.repository || '').split('/');
+            return {
+                ...entities,
+                type: reply.type,
+                confidence: reply.confidence,
+                source: 'llm',
+                repository: entities.repository || (reply.repository ? { owner, name } : null),
+                workflow: entities.workflow || reply.workflow || null,
+                branch: entities.branch || reply.branch || null,
+                runId: entities.runId || reply.run_id || null,
+                artifactId: entities.artifactId || reply.artifact_id || null,
+                timeRange: entities.timeRange || (reply.since ? { since: reply.since, until: null, label: `since ${reply.since}` } : null),
+                clarification: reply.clarification || null
+            };
+        } catch (error) {
+            this.logger.warn(`Intent fallback with ${this.llm.name} failed:`, error.message);
+            return null;
+        }
+    }
+}
+
+export { INTENT_TYPES, extractEntities, parseTimeRange, scoreIntents };
+export default IntentParser;
@@ -0,0 +1,114 @@
+// Jobs are kept as long as the runs they belong to
+const JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Order of job states; events arriving out of order never move a job back
+const JOB_STATES = ['queued', 'waiting', 'in_progress', 'completed'];
+
+// Seconds between two timestamps, or null when either is missing
+function secondsBetween(start, end) {
+    if (!start || !end) {
+        return null;
+    }
+    return Math.max(Math.round((Date.parse(end) - Date.parse(start)) / 1000), 0);
+}
+
+// Tracks the jobs of workflow runs from workflow_job events. Each job is stored
+// under "<run id>:<job id>" so concurrent events of one run never overwrite each other.
+class JobTracker {
+    constructor(store) {
+        this.jobs = store.collection('jobs', { ttl: JOB_TTL_MS });
+    }
+
+    async record(repository, workflowJob) {
+        const key = `${workflowJob.run_id}:${workflowJob.id}`;
+        const previous = await this.jobs.get(key);
+        if (previous && JOB_STATES.indexOf(previous.status) > JOB_STATES.indexOf(workflowJob.status)) {
+            return previous;
+        }
+
+        const job = {
+            id: workflowJob.id,
+            run_id: workflowJob.run_id,
+            run_attempt: workflowJob.run_attempt || 1,
+            repository,
+            workflow_name: workflowJob.workflow_name,
+            name: workflowJob.name,
+            status: workflowJob.status,
+            conclusion: workflowJob.conclusion,
+            runner_name: workflowJob.runner_name,
+            labels: workflowJob.labels || [],
+            html_url: workflowJob.html_url,
+            created_at: workflowJob.created_at,
+            started_at: workflowJob.started_at,
+            completed_at: workflowJob.completed_at,
+            queued_seconds: workflowJob.status === 'queued' || workflowJob.status === 'waiting'
+                ? null
+                : secondsBetween(workflowJob.created_at, workflowJob.started_at),
+            duration_seconds: secondsBetween(workflowJob.started_at, workflowJob.completed_at),
+            steps: (workflowJob.steps || []).map(step => ({
+                number: step.number,
+                name: step.name,
+                status: step.status,
+                conclusion: step.conclusion,
+                started_at: step.started_at,
+                completed_at: step.completed_at,
+                duration_seconds: secondsBetween(step.started_at, step.completed_at)
+            }))
+        };
+
+        await this.jobs.set(key, job);
+        return job;
+    }
+
+    // Jobs of a run, of one attempt when given, in the order they were created
+    async listForRun(runId, attempt = null) {
+        const entries = await this.jobs.entries();
+        return entries
+            .filter(([key]) => key.startsWith(`${runId}:`))
+            .map(([, job]) => job)
+            .filter(job => !attempt || job.run_attempt === attempt)
+            .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+    }
+
+    // Failed jobs of a run attempt with their failed steps, shaped like
+    // PipelineResolver.getFailingJobs
+    async getFailingJobs(runId, attempt = null) {
+        const jobs = await this.listForRun(runId, attempt);
+        return jobs
+            .filter(job => job.conclusion === 'failure')
+            .map(job => ({
+                name: job.name,
+                steps: job.steps
+                    .filter(step => step.conclusion === 'failure')
+                    .map(step => ({ number: step.number, name: step.name }))
+            }));
+    }
+
+    // Mark jobs still open when their run completed, e.g. after a missed job event
+    async closeRun(runId) {
+        for (const job of await this.listForRun(runId)) {
+            if (job.status !== 'completed') {
+                await this.jobs.set(`${runId}:${job.id}`, { ...job, status: 'completed' });
+            }
+        }
+    }
+
+    // Queued and running jobs of a repository; queued_seconds counts up until a job starts
+    async listActive(repository) {
+        const now = new Date().toISOString();
+        const jobs = await this.jobs.values();
+        return jobs
+            .filter(job => job.repository === repository && job.status !== 'completed')
+            .map(job => ({
+                ...job,
+                queued_seconds: job.status === 'in_progress'
+                    ? job.queued_seconds
+                    : secondsBetween(job.created_at, now),
+                running_seconds: job.status === 'in_progress' ? secondsBetween(job.started_at, now) : null,
+                current_step: (job.steps.find(step => step.status === 'in_progress') || {}).name || null
+            }))
+            .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+    }
+}
+
+export default JobTracker;
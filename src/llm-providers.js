@@ -0,0 +1,153 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { classify, toAnalysis } from '../RegressionTesting/utils/failure-classifier.js';
+
+// Drop unset values so they do not override provider defaults
+function withDefaults(defaults, config) {
+    const defined = Object.fromEntries(
+        Object.entries(config).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return { ...defaults, ...defined };
+}
+
+// OpenAI chat completions provider; also the base for compatible endpoints
+class OpenAIProvider {
+    constructor(config = {}, defaults = { model: 'gpt-4.1', maxTokens: 10000, timeout: 60000 }) {
+        this.config = withDefaults(defaults, config);
+        this.name = 'openai';
+        this.model = this.config.model;
+        this.maxTokens = Number(this.config.maxTokens);
+        this.timeout = Number(this.config.timeout);
+        this.client = this.createClient();
+    }
+
+    createClient() {
+        return new OpenAI({
+            apiKey: this.config.apiKey,
+            baseURL: this.config.baseURL,
+            timeout: this.timeout
+        });
+    }
+
+    // Return the model's text reply for a system + user prompt. With onToken the reply
+    // is streamed and every piece is passed to onToken as it arrives.
+    async complete({ system, prompt, temperature = 0.1, onToken }) {
+        const response = await this.client.chat.completions.create({
+            model: this.model,
+            messages: [{
+                role: 'system',
+                content: system
+            },
+            {
+                role: 'user',
+                content: prompt
+            }],
+            temperature,
+            max_tokens: this.maxTokens,
+            stream: Boolean(onToken)
+        });
+
+        if (!onToken) {
+            return response.choices[0].message.content.trim();
+        }
+
+        let content = '';
+        for await (const chunk of response) {
+            const token = chunk.choices[0]?.delta?.content;
+            if (token) {
+                content += token;
+                onToken(token);
+            }
+        }
+        return content.trim();
+    }
+}
+
+// Azure OpenAI; the deployment name takes the place of the model
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(config = {}) {
+        super(config, { apiVersion: '2024-06-01', maxTokens: 10000, timeout: 60000 });
+        this.name = 'azure';
+        this.model = this.config.deployment || this.config.model;
+    }
+
+    createClient() {
+        return new AzureOpenAI({
+            apiKey: this.config.apiKey,
+            endpoint: this.config.endpoint,
+            deployment: this.config.deployment || this.config.model,
+            apiVersion: this.config.apiVersion,
+            timeout: this.timeout
+        });
+    }
+}
+
+// Any OpenAI-compatible server such as llama.cpp or Ollama
+class LocalProvider extends OpenAIProvider {
+    constructor(config = {}) {
+        super(config, {
+            baseURL: 'http://localhost:11434/v1',
+            apiKey: 'local',
+            model: 'llama3.1',
+            maxTokens: 4096,
+            timeout: 120000
+        });
+        this.name = 'local';
+    }
+}
+
+// Deterministic offline provider backed by the shared failure classifier
+class RulesOnlyProvider {
+    constructor() {
+        this.name = 'rules';
+        this.model = 'rules';
+    }
+
+    async complete({ task, logs = '' }) {
+        if (task !== 'analysis') {
+            // File edits need a real model
+            return JSON.stringify({ changed: false });
+        }
+
+        const [match] = classify(logs);
+        if (!match) {
+            return JSON.stringify({
+                root_cause: 'No known failure pattern matched the logs',
+                is_minor: false,
+                fixes: ['Manual investigation required'],
+                commands: [],
+                confidence: 1,
+                log_quality: logs.trim() ? 'partial' : 'corrupted'
+            });
+        }
+
+        return JSON.stringify({
+            ...toAnalysis(match),
+            failing_step: this.findFailingStep(logs, match.line)
+        });
+    }
+
+    // Name of the step section (from getFailureLogs headers) containing the matched line
+    findFailingStep(logs, line) {
+        const headers = logs.slice(0, logs.indexOf(line)).match(/^### Job: .* \/ Step: .*$/gm);
+        return headers ? headers[headers.length - 1].split(' / Step: ')[1] : null;
+    }
+}
+
+// Build the provider named by config.provider: openai (default), azure, local or rules
+function createLlmProvider(config = {}) {
+    switch (config.provider || 'openai') {
+        case 'openai':
+            return new OpenAIProvider(config);
+        case 'azure':
+            return new AzureOpenAIProvider(config);
+        case 'local':
+            return new LocalProvider(config);
+        case 'rules':
+            return new RulesOnlyProvider();
+        default:
+            throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+}
+
+export { OpenAIProvider, AzureOpenAIProvider, LocalProvider, RulesOnlyProvider };
+export default createLlmProvider;
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+
+// Confirmations are accepted for this long unless configured otherwise
+const DEFAULT_CONFIRMATION_TTL_MS = 15 * 60 * 1000;
+
+// Finished, expired and superseded actions are remembered this long for clear replies
+const HISTORY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Token letters without I and O, so tokens are easy to read back
+const TOKEN_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// Tokens look like "KQT482", so they are never mistaken for run ids
+const TOKEN_PATTERN = /\b([A-HJ-NP-Z]{3}\d{3})\b/i;
+
+function generateToken() {
+    const bytes = crypto.randomBytes(6);
+    const letters = [...bytes.subarray(0, 3)].map(byte => TOKEN_LETTERS[byte % TOKEN_LETTERS.length]).join('');
+    const digits = [...bytes.subarray(3)].map(byte => byte % 10).join('');
+    return `${letters}${digits}`;
+}
+
+// Actions waiting for confirmation, kept in a chat session. Every action has a token
+// and an expiry; a new action with the same key (e.g. another release of the same
+// repository) supersedes the previous one. Actions are never removed when they are
+// confirmed, cancelled, expire or are superseded, so late replies get a clear answer.
+class PendingActions {
+    constructor(options = {}) {
+        this.ttl = options.ttl || DEFAULT_CONFIRMATION_TTL_MS;
+    }
+
+    actions(session) {
+        if (!session.context.pendingActions) {
+            session.context.pendingActions = {};
+        }
+        return session.context.pendingActions;
+    }
+
+    // Register an action; { type, key, description, params }
+    create(session, { type, key, description, params }) {
+        const actions = this.actions(session);
+        this.prune(session);
+
+        let token = generateToken();
+        while (actions[token]) {
+            token = generateToken();
+        }
+
+        for (const action of Object.values(actions)) {
+            if (action.key === key && this.isOpen(action)) {
+                action.status = 'superseded';
+                action.superseded_by = token;
+                action.closed_at = new Date().toISOString();
+            }
+        }
+
+        const action = {
+            token,
+            type,
+            key,
+            description,
+            params,
+            status: 'pending',
+            created_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + this.ttl).toISOString()
+        };
+        actions[token] = action;
+        return action;
+    }
+
+    isOpen(action) {
+        return action.status === 'pending' && Date.parse(action.expires_at) > Date.now();
+    }
+
+    // Actions that can still be confirmed, oldest first
+    list(session) {
+        return Object.values(this.actions(session))
+            .filter(action => this.isOpen(action))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+
+    // Close an open action as 'confirmed' or 'cancelled'. Returns { action } or
+    // { error } explaining why the token cannot be used.
+    close(session, token, status) {
+        const action = this.actions(session)[String(token).toUpperCase()];
+        if (!action) {
+            return { error: `There is no pending action ${token}.` };
+        }
+
+        if (action.status === 'superseded') {
+            const replacement = this.actions(session)[action.superseded_by];
+            return {
+                error: `${action.token} (${action.description}) was replaced by ${action.superseded_by}` +
+                    `${replacement ? ` (${replacement.description})` : ''}. Use ${action.superseded_by} instead.`
+            };
+        }
+        if (action.status !== 'pending') {
+            return { error: `${action.token} (${action.description}) was already ${action.status}.` };
+        }
+        if (Date.parse(action.expires_at) <= Date.now()) {
+            action.status = 'expired';
+            action.closed_at = new Date().toISOString();
+            return {
+                error: `${action.token} (${action.description}) expired at ${new Date(action.expires_at).toUTCString()}. Please ask again.`
+            };
+        }
+
+        action.status = status;
+        action.closed_at = new Date().toISOString();
+        return { action };
+    }
+
+    // Forget closed actions after a day
+    prune(session) {
+        const actions = this.actions(session);
+        const cutoff = Date.now() - HISTORY_TTL_MS;
+        for (const [token, action] of Object.entries(actions)) {
+            const closedAt = action.closed_at || (this.isOpen(action) ? null : action.expires_at);
+            if (closedAt && Date.parse(closedAt) < cutoff) {
+                delete actions[token];
+            }
+        }
+    }
+}
+
+export { TOKEN_PATTERN };
+export default PendingActions;
@@ -1,12 +1,47 @@
-import OpenAI from 'openai';
 import axios from 'axios';
+import { parseRunLogsArchive, extractFailingSections } from './run-logs.js';
+import FailureHistory, { computeFingerprint } from './failure-history.js';
+import { MemoryStore } from './store.js';
+import GitHubAuth from './github-auth.js';
+import { isTransientError } from './errors.js';
+import createLlmProvider from './llm-providers.js';
+import { ANALYSIS_SCHEMA, FILE_CHANGE_SCHEMA, parseAnalysis, parseFileChange } from './analysis-schema.js';
+import {
+    SHORT_CIRCUIT_CONFIDENCE,
+    classify,
+    isErrorLine,
+    toAnalysis
+} from '../RegressionTesting/utils/failure-classifier.js';
+
+// Label applied to pull requests opened by the auto-fixer
+const FIX_LABEL = 'ci-bot-fix';
+
+// Minimum analysis confidence (1-10) for automatic fixes unless the caller sets one
+const DEFAULT_AUTO_FIX_CONFIDENCE = 7;
+
+// Cache key fragments per package ecosystem, used to match caches to a failing job
+const CACHE_KEY_PATTERNS = {
+    npm: /npm|yarn|pnpm|node[-_]?modules|node-cache/i,
+    pip: /pip|python|poetry/i,
+    gradle: /gradle/i,
+    maven: /maven|\.m2/i,
+    go: /go-mod|go-build|golang/i,
+    cargo: /cargo|rust/i
+};
 
 class PipelineResolver {
     constructor(config) {
-        this.githubToken = config.githubToken;
-        this.openai = new OpenAI({
-            apiKey: config.openaiApiKey
+        this.logger = config.logger || console;
+        // Shared with GitHubBot so both use the same installation clients
+        this.github = config.github || new GitHubAuth({ token: config.githubToken });
+        // Defaults to OpenAI with the legacy openaiApiKey setting
+        this.llm = config.llmProvider || createLlmProvider({
+            apiKey: config.openaiApiKey,
+            ...config.llm
         });
+        // Rule matches at or above this confidence (0-1) skip the LLM call
+        this.classifierThreshold = config.classifierThreshold || SHORT_CIRCUIT_CONFIDENCE;
+        this.failureHistory = new FailureHistory(config.store || new MemoryStore());
     }
 
     // Preprocess logs to handle different formats and encodings
@@ -29,7 +64,7 @@ class PipelineResolver {
                 try {
                     processedLogs = Buffer.from(processedLogs, 'base64').toString('utf8');
                 } catch (e) {
-                    console.log('Not valid base64, keeping original');
+                    this.logger.log('Not valid base64, keeping original');
                 }
             }
 
@@ -46,27 +81,34 @@ class PipelineResolver {
                 })
                 .join('\n');
 
-            // Extract error messages and relevant content
+            // Extract error messages and lines known failure rules care about
             const errorLines = processedLogs.split('\n').filter(line => 
-                line.toLowerCase().includes('error') ||
-                line.toLowerCase().includes('failed') ||
-                line.toLowerCase().includes('exception') ||
-                /^[a-zA-Z.]+Error:/.test(line)
+                line.startsWith('### Job:') ||                   // Keep job/step section headers
+                isErrorLine(line)
             );
 
-            return errorLines.length > 0 ? errorLines.join('\n') : processedLogs;
+            const hasErrors = errorLines.some(line => !line.startsWith('### Job:'));
+            return hasErrors ? errorLines.join('\n') : processedLogs;
         } catch (error) {
-            console.error('Log preprocessing error:', error);
+            this.logger.error('Log preprocessing error:', error);
             return 'Error: Failed to process log content';
         }
     }
 
     // Analyze workflow failure using AI
-    async analyzeFailure(logs, workflowName) {
+    async analyzeFailure(logs, workflowName, options = {}) {
         try {
             // Preprocess the logs first
             const processedLogs = await this.preprocessLogs(logs);
 
+            // Deterministic rules run first; a confident match skips the LLM
+            const matches = classify(processedLogs);
+            if (matches.length > 0 && matches[0].confidence >= this.classifierThreshold) {
+                const analysis = toAnalysis(matches[0]);
+                this.logger.log(`Rule-based analysis (${matches[0].id}):`, analysis);
+                return analysis;
+            }
+
             const prompt = `
 You are an expert DevOps engineer analyzing a GitHub Actions workflow failure.
 
@@ -79,28 +121,44 @@ Analyze this failure log and provide a JSON response with:
 2. "is_minor": true/false - whether this can be auto-fixed
 3. "fixes": Array of specific fix recommendations
 4. "commands": Array of commands that could resolve the issue
-5. "confidence": 1-10 scale of how confident you are in the analysis
+5. "confidence": Integer 1-10 scale of how confident you are in the analysis
 6. "log_quality": "good" | "partial" | "corrupted"
+7. "failing_step": Name of the step that failed, or null if unknown
+8. "file_references": Array of { "path": string, "line": integer or null } for files named in the errors
+
+Known failure patterns detected (may be incomplete):
+${matches.map(match => `- ${match.name}: ${match.line}`).join('\n') || '- none'}
 
 Log content:
 ${processedLogs}`;
 
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4.1",
-                messages: [{ 
-                    role: "system", 
-                    content: "You are a DevOps expert. Always respond with valid JSON only, no markdown formatting or explanations." 
-                },
-                { 
-                    role: "user", 
-                    content: prompt 
-                }],
-                temperature: 0.1,
-                max_tokens: 10000
+            const system = "You are a DevOps expert. Always respond with valid JSON only, no markdown formatting or explanations.";
+            const content = await this.llm.complete({
+                task: 'analysis',
+                system,
+                prompt,
+                logs: processedLogs,
+                onToken: options.onToken
             });
 
-            let content = response.choices[0].message.content.trim();
-            const analysis = JSON.parse(content);
+            let { analysis, errors } = parseAnalysis(content);
+
+            // One repair round-trip: show the model its invalid reply and the validation errors
+            if (!analysis) {
+                this.logger.warn(`Invalid analysis from ${this.llm.name}, requesting repair:`, errors);
+                const repaired = await this.llm.complete({
+                    task: 'analysis',
+                    system,
+                    prompt: this.buildRepairPrompt(content, errors),
+                    logs: processedLogs,
+                    onToken: options.onToken
+                });
+                ({ analysis, errors } = parseAnalysis(repaired));
+            }
+
+            if (!analysis) {
+                return this.getFallbackAnalysis(`Model output failed validation after repair: ${errors.join('; ')}`);
+            }
 
             // If logs are corrupted, add specific fixes
             if (analysis.log_quality === 'corrupted') {
@@ -119,39 +177,92 @@ ${processedLogs}`;
                 ];
             }
 
-            console.log('AI Analysis:', analysis);
+            this.logger.log(`AI Analysis (${this.llm.name}):`, analysis);
             return analysis;
         } catch (error) {
-            console.error('AI analysis error:', error);
-            return {
-                root_cause: "Failed to analyze logs with AI",
-                is_minor: false,
-                fixes: ["Manual investigation required"],
-                commands: [],
-                confidence: 1
-            };
+            this.logger.error('AI analysis error:', error);
+            if (options.throwTransient && isTransientError(error)) {
+                throw error;
+            }
+            return this.getFallbackAnalysis(`${this.llm.name} provider error: ${error.message}`);
         }
     }
 
+    buildRepairPrompt(content, errors, schema = ANALYSIS_SCHEMA, description = 'failure analysis') {
+        return `
+Your previous reply was not a valid ${description}.
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return only a corrected JSON object that satisfies this JSON Schema:
+${JSON.stringify(schema)}
+
+Previous reply:
+${content}`;
+    }
+
+    // Analysis returned when the model could not produce a valid one
+    getFallbackAnalysis(reason) {
+        return {
+            root_cause: "Failed to analyze logs with AI",
+            is_minor: false,
+            fixes: ["Manual investigation required"],
+            commands: [],
+            confidence: 1,
+            log_quality: 'partial',
+            failing_step: null,
+            file_references: [],
+            failure_reason: reason
+        };
+    }
+
     // Attempt automatic fixes based on analysis
-    async attemptAutoFix(owner, repo, analysis) {
-        console.log('Attempting automatic fixes...');
+    async attemptAutoFix(owner, repo, analysis, context = {}) {
+        this.logger.log('Attempting automatic fixes...');
 
         const fixResults = [];
+        // File edits from all fixes are collected here and shipped as a single PR
+        const fixContext = { ...context, changes: new Map() };
 
         for (const fix of analysis.fixes) {
             try {
-                const result = await this.applyFix(owner, repo, fix);
+                const result = await this.applyFix(owner, repo, fix, fixContext);
                 fixResults.push({
                     fix,
                     success: result.success,
-                    message: result.message
+                    message: result.message,
+                    files: result.files || [],
+                    evicted_keys: result.evicted_keys || [],
+                    retryable: Boolean(result.retryable)
                 });
             } catch (error) {
                 fixResults.push({
                     fix,
                     success: false,
-                    message: error.message
+                    message: error.message,
+                    files: [],
+                    evicted_keys: [],
+                    retryable: false
+                });
+            }
+        }
+
+        let pullRequest = null;
+        const proposedFixes = fixResults.filter(r => r.success && r.files.length > 0);
+
+        if (fixContext.changes.size > 0) {
+            try {
+                pullRequest = await this.createFixPullRequest(owner, repo, analysis, fixContext, proposedFixes);
+                proposedFixes.forEach(r => {
+                    r.pr_url = pullRequest.html_url;
+                    r.message = `${r.message} (PR #${pullRequest.number})`;
+                });
+            } catch (error) {
+                this.logger.error('Fix pull request error:', error);
+                proposedFixes.forEach(r => {
+                    r.success = false;
+                    r.message = `Failed to open fix pull request: ${error.message}`;
                 });
             }
         }
@@ -162,52 +273,86 @@ ${processedLogs}`;
             attempted: fixResults.length,
             successful: successfulFixes.length,
             fixes: fixResults,
-            canRetry: successfulFixes.length > 0
+            pullRequest,
+            // Rerunning only helps for fixes that take effect without a code change
+            canRetry: successfulFixes.some(r => r.retryable)
         };
     }
 
     // Apply specific fixes
-    async applyFix(owner, repo, fix) {
+    async applyFix(owner, repo, fix, context = {}) {
         const fixLower = fix.toLowerCase();
 
         // Clear cache fix
         if (fixLower.includes('cache') || fixLower.includes('clear')) {
-            return await this.clearWorkflowCache(owner, repo);
+            return await this.clearWorkflowCache(owner, repo, context);
         }
 
         // Dependency update fix
         if (fixLower.includes('dependency') || fixLower.includes('package')) {
-            return await this.updateDependencies(owner, repo, fix);
+            return await this.updateDependencies(owner, repo, fix, context);
         }
 
         // Environment variable fix
         if (fixLower.includes('environment') || fixLower.includes('env')) {
-            return await this.fixEnvironmentIssues(owner, repo, fix);
+            return await this.fixEnvironmentIssues(owner, repo, fix, context);
         }
 
         // Configuration fix
         if (fixLower.includes('config') || fixLower.includes('yml') || fixLower.includes('yaml')) {
-            return await this.fixConfiguration(owner, repo, fix);
+            return await this.fixConfiguration(owner, repo, fix, context);
         }
 
         // Default: log the fix for manual review
-        console.log(`Fix not automated: ${fix}`);
+        this.logger.log(`Fix not automated: ${fix}`);
         return {
             success: false,
             message: `Fix requires manual intervention: ${fix}`
         };
     }
 
-    // Clear workflow cache
-    async clearWorkflowCache(owner, repo) {
+    // Clear workflow cache by deleting the Actions caches tied to the failing job
+    async clearWorkflowCache(owner, repo, context = {}) {
         try {
-            // GitHub doesn't have a direct API to clear cache
-            // This would typically involve updating cache keys or workflow modifications
-            console.log(`Cache clearing requested for ${owner}/${repo}`);
+            const octokit = await this.github.getOctokit(owner, repo);
+
+            this.logger.log(`Cache clearing requested for ${owner}/${repo}`);
+
+            const caches = await octokit.paginate(octokit.actions.getActionsCacheList, {
+                owner,
+                repo,
+                ref: context.cacheRef,
+                per_page: 100
+            });
+
+            const failingJobs = context.runId
+                ? await this.getFailingJobs(owner, repo, context.runId)
+                : [];
+            const matching = this.selectCachesForJobs(caches, failingJobs, context.analysis);
+
+            if (matching.length === 0) {
+                return {
+                    success: false,
+                    message: `No caches matching the failing job found${context.cacheRef ? ` for ${context.cacheRef}` : ''}`
+                };
+            }
 
+            const evictedKeys = [];
+            for (const cache of matching) {
+                await octokit.actions.deleteActionsCacheById({
+                    owner,
+                    repo,
+                    cache_id: cache.id
+                });
+                evictedKeys.push(cache.key);
+            }
+
+            this.logger.log(`Evicted ${evictedKeys.length} caches in ${owner}/${repo}: ${evictedKeys.join(', ')}`);
             return {
                 success: true,
-                message: "Cache clearing simulated (requires workflow restart)"
+                message: `Evicted ${evictedKeys.length} cache(s)`,
+                evicted_keys: evictedKeys,
+                retryable: true
             };
         } catch (error) {
             return {
@@ -217,20 +362,64 @@ ${processedLogs}`;
         }
     }
 
+    // Failed jobs of a run with the number and name of their failed steps
+    async getFailingJobs(owner, repo, runId) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        const jobs = await octokit.paginate(octokit.actions.listJobsForWorkflowRun, {
+            owner,
+            repo,
+            run_id: runId,
+            filter: 'latest',
+            per_page: 100
+        });
+
+        return jobs
+            .filter(job => job.conclusion === 'failure')
+            .map(job => ({
+                name: job.name,
+                steps: (job.steps || [])
+                    .filter(step => step.conclusion === 'failure')
+                    .map(step => ({ number: step.number, name: step.name }))
+            }));
+    }
+
+    // Pick caches whose keys belong to the ecosystems the failing job uses,
+    // falling back to keys that mention the job name
+    selectCachesForJobs(caches, failingJobs, analysis = {}) {
+        const hints = [
+            analysis.root_cause || '',
+            ...(analysis.fixes || []),
+            ...failingJobs.flatMap(job => [job.name, ...job.steps.map(step => step.name)])
+        ].join(' ');
+
+        const patterns = Object.values(CACHE_KEY_PATTERNS).filter(pattern => pattern.test(hints));
+        if (patterns.length > 0) {
+            return caches.filter(cache => patterns.some(pattern => pattern.test(cache.key)));
+        }
+
+        const jobNames = failingJobs.map(job => job.name.toLowerCase());
+        return caches.filter(cache =>
+            jobNames.some(name => cache.key.toLowerCase().includes(name))
+        );
+    }
+
     // Update dependencies
-    async updateDependencies(owner, repo, fix) {
+    async updateDependencies(owner, repo, fix, context = {}) {
         try {
-            console.log(`Dependency fix requested for ${owner}/${repo}: ${fix}`);
+            this.logger.log(`Dependency fix requested for ${owner}/${repo}: ${fix}`);
 
-            // In a real implementation, you would:
-            // 1. Clone the repo
-            // 2. Update package.json or requirements.txt
-            // 3. Create a PR with the fix
-            // 4. Auto-merge if tests pass
+            const manifests = ['package.json', 'requirements.txt'];
+            for (const manifest of manifests) {
+                const result = await this.proposeFileChange(owner, repo, manifest, fix, context);
+                if (result) {
+                    return result;
+                }
+            }
 
             return {
-                success: true,
-                message: "Dependency update simulated (would create PR)"
+                success: false,
+                message: 'No dependency manifest change could be proposed'
             };
         } catch (error) {
             return {
@@ -241,18 +430,18 @@ ${processedLogs}`;
     }
 
     // Fix environment issues
-    async fixEnvironmentIssues(owner, repo, fix) {
+    async fixEnvironmentIssues(owner, repo, fix, context = {}) {
         try {
-            console.log(`Environment fix requested for ${owner}/${repo}: ${fix}`);
+            this.logger.log(`Environment fix requested for ${owner}/${repo}: ${fix}`);
 
-            // This would typically involve:
-            // 1. Checking repository secrets
-            // 2. Updating environment variables
-            // 3. Fixing configuration files
+            // Secrets cannot be set by the bot, so only workflow-level env is changed
+            const result = context.workflowPath
+                ? await this.proposeFileChange(owner, repo, context.workflowPath, fix, context)
+                : null;
 
-            return {
-                success: true,
-                message: "Environment fix simulated"
+            return result || {
+                success: false,
+                message: 'No workflow environment change could be proposed'
             };
         } catch (error) {
             return {
@@ -263,18 +452,17 @@ ${processedLogs}`;
     }
 
     // Fix configuration issues
-    async fixConfiguration(owner, repo, fix) {
+    async fixConfiguration(owner, repo, fix, context = {}) {
         try {
-            console.log(`Configuration fix requested for ${owner}/${repo}: ${fix}`);
+            this.logger.log(`Configuration fix requested for ${owner}/${repo}: ${fix}`);
 
-            // This would involve:
-            // 1. Fetching workflow files
-            // 2. Identifying configuration issues
-            // 3. Creating a fix commit
+            const result = context.workflowPath
+                ? await this.proposeFileChange(owner, repo, context.workflowPath, fix, context)
+                : null;
 
-            return {
-                success: true,
-                message: "Configuration fix simulated"
+            return result || {
+                success: false,
+                message: 'No workflow configuration change could be proposed'
             };
         } catch (error) {
             return {
@@ -284,25 +472,241 @@ ${processedLogs}`;
         }
     }
 
+    // Stage an AI-generated edit of a single file; returns null when nothing changes
+    async proposeFileChange(owner, repo, filePath, fix, context) {
+        const current = context.changes.has(filePath)
+            ? context.changes.get(filePath)
+            : await this.getFileContent(owner, repo, filePath, context.baseBranch);
+
+        if (current === null) {
+            return null;
+        }
+
+        const updated = await this.generateFileChange(filePath, current, fix, context.analysis);
+        if (updated === null || updated === current) {
+            return null;
+        }
+
+        context.changes.set(filePath, updated);
+        return {
+            success: true,
+            message: `Proposed change to ${filePath}`,
+            files: [filePath]
+        };
+    }
+
+    // Ask the model for an updated version of a file that applies the fix
+    async generateFileChange(filePath, content, fix, analysis = {}) {
+        const prompt = `
+You are fixing a failing GitHub Actions workflow by editing a repository file.
+
+Root cause: ${analysis.root_cause || 'unknown'}
+Fix to apply: ${fix}
+File: ${filePath}
+
+Return a JSON object with:
+1. "changed": true/false - whether this file needs to change for the fix
+2. "content": the complete updated file content (only when changed)
+
+Current file content:
+${content}`;
+
+        const system = "You are a DevOps expert. Always respond with valid JSON only, no markdown formatting or explanations.";
+        const reply = await this.llm.complete({ task: 'file_change', system, prompt });
+        let { change, errors } = parseFileChange(reply);
+
+        // One repair round-trip, as for analyses
+        if (!change) {
+            this.logger.warn(`Invalid file change for ${filePath} from ${this.llm.name}, requesting repair:`, errors);
+            const repaired = await this.llm.complete({
+                task: 'file_change',
+                system,
+                prompt: this.buildRepairPrompt(reply, errors, FILE_CHANGE_SCHEMA, 'file change')
+            });
+            ({ change, errors } = parseFileChange(repaired));
+        }
+
+        if (!change) {
+            this.logger.warn(`Skipping change to ${filePath}, model output failed validation: ${errors.join('; ')}`);
+            return null;
+        }
+        return change.changed ? change.content : null;
+    }
+
+    // Read a file from the repository, or null if it does not exist
+    async getFileContent(owner, repo, filePath, ref) {
+        try {
+            const octokit = await this.github.getOctokit(owner, repo);
+
+            const response = await octokit.repos.getContent({
+                owner,
+                repo,
+                path: filePath,
+                ref
+            });
+
+            return Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Resolve the workflow file and branch a failed run belongs to
+    async getFixContext(owner, repo, runId) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        try {
+            const { data: run } = await octokit.actions.getWorkflowRun({
+                owner,
+                repo,
+                run_id: runId
+            });
+
+            // Caches written by pull request runs are scoped to the PR merge ref
+            const pullRequest = run.event === 'pull_request' && run.pull_requests && run.pull_requests[0];
+
+            // Branches of forks do not exist here; their fixes go to the default branch
+            const fromFork = run.head_repository && run.repository &&
+                run.head_repository.full_name !== run.repository.full_name;
+            let baseBranch = run.head_branch;
+            if (fromFork) {
+                const { data: repository } = await octokit.repos.get({ owner, repo });
+                baseBranch = repository.default_branch;
+            }
+
+            return {
+                runId,
+                workflowPath: run.path,
+                baseBranch,
+                headSha: run.head_sha,
+                runUrl: run.html_url,
+                cacheRef: pullRequest
+                    ? `refs/pull/${pullRequest.number}/merge`
+                    : `refs/heads/${run.head_branch}`
+            };
+        } catch (error) {
+            this.logger.error(`Failed to load workflow run ${runId}:`, error.message);
+            const { data: repository } = await octokit.repos.get({ owner, repo });
+            return {
+                runId,
+                baseBranch: repository.default_branch,
+                cacheRef: `refs/heads/${repository.default_branch}`
+            };
+        }
+    }
+
+    // Commit staged changes to a new branch through the git data API and open a labelled PR
+    async createFixPullRequest(owner, repo, analysis, context, fixes) {
+        const octokit = await this.github.getOctokit(owner, repo);
+
+        const baseBranch = context.baseBranch;
+        const branch = `ci-bot/fix-${context.runId || 'manual'}-${Date.now()}`;
+
+        const { data: baseRef } = await octokit.git.getRef({
+            owner,
+            repo,
+            ref: `heads/${baseBranch}`
+        });
+        const { data: baseCommit } = await octokit.git.getCommit({
+            owner,
+            repo,
+            commit_sha: baseRef.object.sha
+        });
+
+        const { data: tree } = await octokit.git.createTree({
+            owner,
+            repo,
+            base_tree: baseCommit.tree.sha,
+            tree: Array.from(context.changes.entries()).map(([filePath, content]) => ({
+                path: filePath,
+                mode: '100644',
+                type: 'blob',
+                content
+            }))
+        });
+
+        const title = `ci-bot: fix ${analysis.root_cause || 'workflow failure'}`.slice(0, 120);
+        const { data: commit } = await octokit.git.createCommit({
+            owner,
+            repo,
+            message: title,
+            tree: tree.sha,
+            parents: [baseCommit.sha]
+        });
+
+        await octokit.git.createRef({
+            owner,
+            repo,
+            ref: `refs/heads/${branch}`,
+            sha: commit.sha
+        });
+
+        const { data: pullRequest } = await octokit.pulls.create({
+            owner,
+            repo,
+            title,
+            head: branch,
+            base: baseBranch,
+            body: this.formatFixPullRequestBody(analysis, context, fixes)
+        });
+
+        await octokit.issues.addLabels({
+            owner,
+            repo,
+            issue_number: pullRequest.number,
+            labels: [FIX_LABEL]
+        });
+
+        this.logger.log(`Opened fix pull request ${pullRequest.html_url}`);
+        return pullRequest;
+    }
+
+    formatFixPullRequestBody(analysis, context, fixes) {
+        let body = `## 🤖 Automated fix proposal\n\n`;
+        if (context.runUrl) {
+            body += `Failed run: ${context.runUrl}\n\n`;
+        }
+        body += `**Root Cause:** ${analysis.root_cause}\n`;
+        body += `**Confidence:** ${analysis.confidence}/10\n\n`;
+        body += `**Applied Fixes:**\n`;
+        fixes.forEach((fix, index) => {
+            body += `${index + 1}. ${fix.fix} (${fix.files.join(', ')})\n`;
+        });
+        if (analysis.commands && analysis.commands.length > 0) {
+            body += `\n**Suggested Commands:**\n\`\`\`\n${analysis.commands.join('\n')}\n\`\`\`\n`;
+        }
+        body += `\nPlease review the changes before merging.`;
+        return body;
+    }
+
     // Complete failure resolution process
-    async resolveFailure(owner, repo, runId, logs, workflowName) {
-        console.log(`Resolving failure for workflow run ${runId}`);
+    async resolveFailure(owner, repo, runId, logs, workflowName, options = {}) {
+        this.logger.log(`Resolving failure for workflow run ${runId}`);
 
         try {
-            // 1. Analyze the failure
-            const analysis = await this.analyzeFailure(logs, workflowName);
+            // 1. Analyze the failure (reuse a prior analysis when one is supplied)
+            const analysis = options.analysis || await this.analyzeFailure(logs, workflowName);
 
             // 2. If it's a minor issue, attempt auto-fix
-            if (analysis.is_minor && analysis.confidence >= 7) {
-                const fixResult = await this.attemptAutoFix(owner, repo, analysis);
+            const minConfidence = options.minConfidence || DEFAULT_AUTO_FIX_CONFIDENCE;
+            if (analysis.is_minor && analysis.confidence >= minConfidence) {
+                const context = await this.getFixContext(owner, repo, runId);
+                const fixResult = await this.attemptAutoFix(owner, repo, analysis, { ...context, analysis });
 
-                if (fixResult.canRetry) {
+                if (fixResult.successful > 0) {
+                    const pullRequests = fixResult.pullRequest ? [fixResult.pullRequest.html_url] : [];
                     return {
-                        status: 'auto_fixed',
-                        message: 'Issues resolved, pipeline can be restarted',
+                        status: fixResult.canRetry ? 'auto_fixed' : 'fix_proposed',
+                        message: fixResult.canRetry
+                            ? 'Issues resolved, pipeline can be restarted'
+                            : `Fix proposed in ${pullRequests.join(', ')}`,
                         analysis,
                         fixes: fixResult.fixes,
-                        can_retry: true
+                        pull_requests: pullRequests,
+                        can_retry: fixResult.canRetry
                     };
                 }
             }
@@ -313,29 +717,32 @@ ${processedLogs}`;
                 message: 'Manual intervention required',
                 analysis,
                 fixes: [],
+                pull_requests: [],
                 can_retry: false
             };
 
         } catch (error) {
-            console.error('Resolution error:', error);
+            this.logger.error('Resolution error:', error);
             return {
                 status: 'error',
                 message: `Failed to resolve: ${error.message}`,
                 analysis: null,
                 fixes: [],
+                pull_requests: [],
                 can_retry: false
             };
         }
     }
 
-    // Get workflow logs from GitHub
+    // Get workflow logs from GitHub as a job -> step -> lines map
     async getWorkflowLogs(owner, repo, runId) {
         try {
+            const token = await this.github.getToken(owner, repo);
             const response = await axios.get(
                 `https://api.github.com/repos/${owner}/${repo}/actions/runs/${runId}/logs`,
                 {
                     headers: {
-                        'Authorization': `token ${this.githubToken}`,
+                        'Authorization': `token ${token}`,
                         'Accept': 'application/vnd.github.v3+json',
                         'Accept-Encoding': 'gzip, deflate, br'
                     },
@@ -344,26 +751,84 @@ ${processedLogs}`;
                 }
             );
 
-            // Try different encodings
-            const encodings = ['utf8', 'ascii', 'utf16le'];
-            let decodedContent = '';
+            return parseRunLogsArchive(response.data);
+        } catch (error) {
+            this.logger.error('Log fetching error:', error.message);
+            const fetchError = new Error(`Failed to fetch logs: ${error.message}`);
+            // Keep what callers need to tell transient failures apart
+            fetchError.status = error.response && error.response.status;
+            fetchError.code = error.code;
+            throw fetchError;
+        }
+    }
+
+    // Get only the log sections of the failing jobs and steps of a run. Failing jobs
+    // already known, e.g. from workflow_job events, are used instead of listing the run's jobs.
+    async getFailureLogs(owner, repo, runId, knownFailingJobs = []) {
+        const [jobs, failingJobs] = await Promise.all([
+            this.getWorkflowLogs(owner, repo, runId),
+            knownFailingJobs.length > 0 ? knownFailingJobs : this.getFailingJobs(owner, repo, runId)
+        ]);
+
+        const sections = extractFailingSections(jobs, failingJobs);
+        if (sections) {
+            return sections;
+        }
 
-            for (const encoding of encodings) {
-                try {
-                    decodedContent = Buffer.from(response.data).toString(encoding);
-                    if (decodedContent && /[\x20-\x7E]/.test(decodedContent)) {
-                        break; // Found readable content
-                    }
-                } catch (e) {
-                    console.log(`Failed to decode with ${encoding}`);
-                }
-            }
+        // Fall back to every job when the failing ones cannot be matched
+        return extractFailingSections(jobs, Object.keys(jobs).map(name => ({ name, steps: [] })));
+    }
 
-            return decodedContent || Buffer.from(response.data).toString('utf8');
-        } catch (error) {
-            console.error('Log fetching error:', error);
-            throw new Error(`Failed to fetch logs: ${error.message}`);
+    // Analyze a failed run, reusing the stored analysis when the same failure was seen before
+    // With options.throwTransient, retryable provider errors are thrown instead of
+    // producing a fallback analysis, so queued webhooks can retry them.
+    // options.fresh analyzes again even when the failure is known.
+    // options.failingJobs are the run's failed jobs and steps, when already known.
+    // options.onProgress(stage, message) is told when logs are downloaded and analyzed,
+    // and options.onToken(text) receives the model's reply as it is streamed.
+    async analyzeRunFailure(owner, repo, runId, workflowName, options = {}) {
+        const repository = `${owner}/${repo}`;
+        const failingJobs = options.failingJobs || [];
+        const progress = options.onProgress || (() => {});
+
+        progress('downloading_logs', `Downloading the logs of run ${runId}`);
+        const logs = await this.getFailureLogs(owner, repo, runId, failingJobs);
+        const fingerprint = computeFingerprint(logs);
+
+        const known = await this.failureHistory.lookup(repository, fingerprint);
+        const reused = Boolean(known && known.analysis && !options.fresh);
+
+        if (reused) {
+            this.logger.log(`Reusing analysis for known failure ${fingerprint} in ${repository}`);
+            progress('analyzing', `Reusing the analysis of known failure ${fingerprint}`);
+        } else {
+            progress('analyzing', `Analyzing the failure with ${this.llm.name}`);
         }
+        // The stored analysis is copied so annotating it below does not change the stored one
+        const analysis = reused ? { ...known.analysis } : await this.analyzeFailure(logs, workflowName, options);
+
+        // Name the failed step from the job data when the logs did not reveal it
+        const failedJob = failingJobs.find(job => job.steps.length > 0);
+        if (!analysis.failing_step && failedJob) {
+            analysis.failing_step = `${failedJob.name} › ${failedJob.steps[0].name}`;
+        }
+
+        const occurrence = await this.failureHistory.record(repository, fingerprint, {
+            runId,
+            workflow: workflowName,
+            analysis
+        });
+
+        return {
+            analysis,
+            fingerprint,
+            reused,
+            occurrences: {
+                count: occurrence.count,
+                first_seen: occurrence.first_seen,
+                run_ids: occurrence.run_ids
+            }
+        };
     }
 }
 
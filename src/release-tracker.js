@@ -0,0 +1,110 @@
+// Releases are kept for a month
+const RELEASE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Deployments without an artifact id are matched to releases dispatched this recently
+const DEPLOYMENT_MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Deployment status states mapped to the state of the release
+const RELEASE_STATES = {
+    success: 'deployed',
+    failure: 'failed',
+    error: 'failed',
+    inactive: 'deployed'
+};
+
+// Tracks releases the bot dispatched and the deployments they produced
+class ReleaseTracker {
+    constructor(store) {
+        this.releases = store.collection('releases', { ttl: RELEASE_TTL_MS });
+    }
+
+    async recordDispatch(repository, { workflow, ref, artifactId, inputs }) {
+        const release = {
+            id: artifactId || `${repository}@${ref}:${Date.now()}`,
+            repository,
+            workflow,
+            ref,
+            artifact_id: artifactId,
+            inputs,
+            status: 'dispatched',
+            triggered_at: new Date().toISOString(),
+            deployments: []
+        };
+
+        await this.releases.set(release.id, release);
+        return release;
+    }
+
+    // Release a deployment belongs to: by the artifact_id in its payload, or else the
+    // latest recent release of the same ref
+    async findRelease(repository, deployment) {
+        let payload = deployment.payload || {};
+        if (typeof payload === 'string') {
+            try {
+                payload = JSON.parse(payload);
+            } catch (error) {
+                payload = {};
+            }
+        }
+
+        if (payload.artifact_id) {
+            const release = await this.releases.get(payload.artifact_id);
+            if (release) {
+                return release;
+            }
+        }
+
+        const since = Date.now() - DEPLOYMENT_MATCH_WINDOW_MS;
+        const candidates = (await this.list(repository)).filter(release =>
+            release.ref === deployment.ref && Date.parse(release.triggered_at) >= since
+        );
+        return candidates[0] || null;
+    }
+
+    async recordDeployment(repository, deployment) {
+        const release = await this.findRelease(repository, deployment);
+        if (!release) {
+            return null;
+        }
+
+        if (!release.deployments.some(entry => entry.id === deployment.id)) {
+            release.deployments.push({
+                id: deployment.id,
+                environment: deployment.environment,
+                sha: deployment.sha,
+                state: 'pending',
+                created_at: deployment.created_at
+            });
+        }
+        release.status = 'deploying';
+
+        await this.releases.set(release.id, release);
+        return release;
+    }
+
+    async recordDeploymentStatus(repository, deployment, deploymentStatus) {
+        const release = await this.recordDeployment(repository, deployment);
+        if (!release) {
+            return null;
+        }
+
+        const entry = release.deployments.find(item => item.id === deployment.id);
+        entry.state = deploymentStatus.state;
+        entry.environment_url = deploymentStatus.environment_url || entry.environment_url;
+        entry.updated_at = deploymentStatus.updated_at || new Date().toISOString();
+        release.status = RELEASE_STATES[deploymentStatus.state] || 'deploying';
+
+        await this.releases.set(release.id, release);
+        return release;
+    }
+
+    // Releases of a repository, newest first
+    async list(repository) {
+        const releases = await this.releases.values();
+        return releases
+            .filter(release => release.repository === repository)
+            .sort((a, b) => b.triggered_at.localeCompare(a.triggered_at));
+    }
+}
+
+export default ReleaseTracker;
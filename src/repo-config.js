@@ -0,0 +1,181 @@
+import Ajv from 'ajv';
+import { parse } from 'yaml';
+
+const CONFIG_PATH = '.github/ci-bot.yml';
+
+// Parsed config files are cached per commit; a SHA's content never changes
+const CONFIG_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Used for every setting a repository does not configure
+const DEFAULT_REPO_CONFIG = {
+    release: {
+        // Pushes to these branches dispatch the release pipeline; * matches any characters
+        branches: ['main', 'master'],
+        // null dispatches the pipeline configured in config/config.js
+        workflow: null
+    },
+    failures: {
+        // null uses the FAILURE_POLICY of the bot
+        policy: null,
+        // Minimum analysis confidence (1-10) before fixes are applied automatically
+        auto_fix_min_confidence: 7,
+        // What auto_fix_rerun restarts: 'all' jobs or only the 'failed' ones
+        rerun_jobs: 'all',
+        rerun_debug_logging: false,
+        // Workflow names or file names to handle; empty handles every workflow
+        workflows: [],
+        ignore_workflows: []
+    }
+};
+
+// JSON Schema for .github/ci-bot.yml; unknown keys are rejected to catch typos
+const REPO_CONFIG_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        release: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                branches: { type: 'array', items: { type: 'string', minLength: 1 } },
+                workflow: { type: ['string', 'null'] }
+            }
+        },
+        failures: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                policy: { enum: ['notify', 'auto_fix', 'auto_fix_rerun', null] },
+                auto_fix_min_confidence: { type: 'integer', minimum: 1, maximum: 10 },
+                rerun_jobs: { enum: ['all', 'failed'] },
+                rerun_debug_logging: { type: 'boolean' },
+                workflows: { type: 'array', items: { type: 'string' } },
+                ignore_workflows: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(REPO_CONFIG_SCHEMA);
+
+// Merge config layers section by section; later layers win
+function mergeConfig(...layers) {
+    const merged = {};
+    for (const [section, defaults] of Object.entries(DEFAULT_REPO_CONFIG)) {
+        merged[section] = { ...defaults };
+        for (const layer of layers) {
+            Object.assign(merged[section], layer && layer[section]);
+        }
+    }
+    return merged;
+}
+
+// Parse and validate a config file. Returns { config, errors }; config is empty when invalid.
+function parseRepoConfig(content) {
+    let config;
+    try {
+        config = parse(content) || {};
+    } catch (error) {
+        return { config: {}, errors: [`Invalid YAML: ${error.message}`] };
+    }
+
+    if (!validate(config)) {
+        const errors = validate.errors.map(error =>
+            `${error.instancePath || '/'} ${error.message}`
+        );
+        return { config: {}, errors };
+    }
+
+    return { config, errors: [] };
+}
+
+function matchesBranch(patterns, branch) {
+    return patterns.some(pattern => {
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`).test(branch);
+    });
+}
+
+// Whether failures of a workflow run should be handled under the given config
+function isWatchedWorkflow(config, workflowRun) {
+    const fileName = (workflowRun.path || '').split('/').pop();
+    const matches = names => names.some(name =>
+        name === workflowRun.name || name === fileName || name === workflowRun.path
+    );
+
+    if (matches(config.failures.ignore_workflows)) {
+        return false;
+    }
+    return config.failures.workflows.length === 0 || matches(config.failures.workflows);
+}
+
+// Loads .github/ci-bot.yml per commit and layers it between built-in defaults
+// and the central overrides from config/config.js:
+//   defaults < overrides.defaults < repository file < overrides.repositories[owner/repo]
+class RepoConfigLoader {
+    constructor(github, store, options = {}) {
+        this.github = github;
+        this.cache = store.collection('repo-configs', { ttl: CONFIG_CACHE_TTL_MS });
+        this.overrides = options.overrides || {};
+        this.reporter = options.reporter || null;
+    }
+
+    // options.dryRun reads the file without caching it or reporting errors
+    async load(owner, repo, sha, options = {}) {
+        const key = `${owner}/${repo}@${sha}`;
+        let file = await this.cache.get(key);
+
+        if (!file) {
+            // Only a missing or invalid file falls back to the defaults. API errors are thrown,
+            // so the webhook queue retries outages instead of ignoring the repository's policy.
+            file = await this.fetch(owner, repo, sha);
+
+            if (options.dryRun) {
+                return this.resolve(owner, repo, file.config);
+            }
+
+            await this.cache.set(key, file);
+            if (file.errors.length > 0 && this.reporter) {
+                await this.reporter.reportConfigErrors(owner, repo, sha, CONFIG_PATH, file.errors);
+            }
+        }
+
+        return this.resolve(owner, repo, file.config);
+    }
+
+    resolve(owner, repo, config) {
+        const repositories = this.overrides.repositories || {};
+        return mergeConfig(this.overrides.defaults, config, repositories[`${owner}/${repo}`]);
+    }
+
+    async fetch(owner, repo, sha) {
+        try {
+            const octokit = await this.github.getOctokit(owner, repo);
+
+            const { data } = await octokit.repos.getContent({
+                owner,
+                repo,
+                path: CONFIG_PATH,
+                ref: sha
+            });
+            return parseRepoConfig(Buffer.from(data.content, 'base64').toString('utf8'));
+        } catch (error) {
+            if (error.status === 404) {
+                return { config: {}, errors: [] };
+            }
+            throw error;
+        }
+    }
+}
+
+export {
+    CONFIG_PATH,
+    DEFAULT_REPO_CONFIG,
+    REPO_CONFIG_SCHEMA,
+    isWatchedWorkflow,
+    matchesBranch,
+    mergeConfig,
+    parseRepoConfig
+};
+export default RepoConfigLoader;
@@ -0,0 +1,111 @@
+import AdmZip from 'adm-zip';
+
+// GitHub prefixes every log line with an ISO-8601 timestamp
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) ?(.*)$/;
+
+// Archive entries are "<n>_<job>.txt" at the top level and "<job>/<n>_<step>.txt" per step
+const ENTRY_PATTERN = /^(\d+)_(.*)\.txt$/;
+
+// Only the tail of a failing step is sent for analysis; errors are reported last
+const MAX_SECTION_LINES = 500;
+
+function parseLines(content) {
+    return content
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .filter(line => line.length > 0)
+        .map(line => {
+            const match = line.match(TIMESTAMP_PATTERN);
+            return match
+                ? { timestamp: match[1], text: match[2] }
+                : { timestamp: null, text: line };
+        });
+}
+
+// Job names in the archive have path separators and some punctuation stripped
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getJob(jobs, name) {
+    if (!jobs[name]) {
+        jobs[name] = { name, lines: [], steps: {} };
+    }
+    return jobs[name];
+}
+
+// Unpack a run logs archive into { job: { name, lines, steps: { step: { number, lines } } } }
+function parseRunLogsArchive(data) {
+    const zip = new AdmZip(Buffer.from(data));
+    const jobs = {};
+
+    for (const entry of zip.getEntries()) {
+        if (entry.isDirectory) {
+            continue;
+        }
+
+        const parts = entry.entryName.split('/');
+        const fileName = parts.pop();
+        const match = fileName.match(ENTRY_PATTERN);
+        if (!match) {
+            continue;
+        }
+
+        const lines = parseLines(entry.getData().toString('utf8'));
+
+        if (parts.length === 0) {
+            getJob(jobs, match[2]).lines = lines;
+        } else {
+            getJob(jobs, parts.join('/')).steps[match[2]] = {
+                number: Number(match[1]),
+                lines
+            };
+        }
+    }
+
+    return jobs;
+}
+
+function formatSection(jobName, stepName, lines) {
+    const header = stepName ? `### Job: ${jobName} / Step: ${stepName}` : `### Job: ${jobName}`;
+    const body = lines.slice(-MAX_SECTION_LINES).map(line => line.text);
+    return [header, ...body].join('\n');
+}
+
+// Render only the failing job/step sections; failingJobs is
+// [{ name, steps: [{ number, name }] }] as reported by the jobs API
+function extractFailingSections(jobs, failingJobs) {
+    const sections = [];
+
+    for (const failingJob of failingJobs) {
+        const job = Object.values(jobs).find(candidate =>
+            normalizeName(candidate.name) === normalizeName(failingJob.name)
+        );
+        if (!job) {
+            continue;
+        }
+
+        const steps = Object.entries(job.steps);
+        let matched = false;
+
+        for (const failingStep of failingJob.steps) {
+            const step = steps.find(([name, candidate]) =>
+                candidate.number === failingStep.number ||
+                normalizeName(name) === normalizeName(failingStep.name)
+            );
+            if (step) {
+                sections.push(formatSection(job.name, step[0], step[1].lines));
+                matched = true;
+            }
+        }
+
+        // Newer archives only contain the combined job log
+        if (!matched) {
+            sections.push(formatSection(job.name, null, job.lines));
+        }
+    }
+
+    return sections.join('\n\n');
+}
+
+export { parseRunLogsArchive, extractFailingSections, parseLines };
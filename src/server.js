@@ -3,86 +3,231 @@ import express from 'express';
 import crypto from 'crypto';
 import GitHubBot from './bot.js';
 import ChatInterface from './chat-interface.js';
+import SlashCommands from './slash-commands.js';
+import SlackAdapter from './slack-adapter.js';
+import TeamsAdapter from './teams-adapter.js';
 import PipelineResolver from './pipeline-resolver.js';
+import createStore from './store.js';
+import GitHubAuth, { loadAppPrivateKey } from './github-auth.js';
+import WebhookVerifier from './webhook-verifier.js';
+import WebhookQueue from './webhook-queue.js';
+import WebhookDeliveries from './webhook-deliveries.js';
+import config from '../config/config.js';
 
 dotenv.config();
 
+// Streaming responses send a comment this often so proxies keep idle connections open
+const STREAM_KEEPALIVE_MS = 15000;
+
 class Server {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
         
         // Initialize components
-        this.bot = new GitHubBot({
+        this.store = createStore({
+            driver: process.env.STORE_DRIVER,
+            path: process.env.STORE_PATH
+        });
+
+        // GitHub App credentials take precedence over GITHUB_TOKEN
+        this.github = new GitHubAuth({
             token: process.env.GITHUB_TOKEN,
-            webhookSecret: process.env.GITHUB_WEBHOOK_SECRET
+            appId: process.env.GITHUB_APP_ID,
+            privateKey: loadAppPrivateKey(process.env),
+            store: this.store
         });
-        
+
         this.resolver = new PipelineResolver({
-            githubToken: process.env.GITHUB_TOKEN,
-            openaiApiKey: process.env.OPENAI_API_KEY
+            github: this.github,
+            openaiApiKey: process.env.OPENAI_API_KEY,
+            store: this.store,
+            llm: {
+                provider: process.env.LLM_PROVIDER,
+                model: process.env.LLM_MODEL,
+                timeout: process.env.LLM_TIMEOUT_MS,
+                maxTokens: process.env.LLM_MAX_TOKENS,
+                baseURL: process.env.LLM_BASE_URL,
+                apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+                endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+                deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+                apiVersion: process.env.AZURE_OPENAI_API_VERSION
+            }
         });
         
-        this.chatInterface = new ChatInterface(this.bot, this.resolver);
+        // GITHUB_WEBHOOK_SECRETS lists extra secrets accepted while rotating
+        this.webhookVerifier = new WebhookVerifier({
+            secrets: [
+                process.env.GITHUB_WEBHOOK_SECRET,
+                ...(process.env.GITHUB_WEBHOOK_SECRETS || '').split(',').map(secret => secret.trim())
+            ],
+            replayWindow: process.env.WEBHOOK_REPLAY_WINDOW_MINUTES
+                ? Number(process.env.WEBHOOK_REPLAY_WINDOW_MINUTES) * 60 * 1000
+                : undefined,
+            store: this.store
+        });
+
+        this.bot = new GitHubBot({
+            github: this.github,
+            store: this.store,
+            resolver: this.resolver,
+            failurePolicy: process.env.FAILURE_POLICY,
+            pipelines: config.pipelines,
+            repoConfig: config.repoConfig
+        });
+        
+        this.chatInterface = new ChatInterface(this.bot, this.resolver, {
+            store: this.store,
+            // Ask the analysis model about messages the intent rules cannot place
+            llm: process.env.CHAT_LLM_FALLBACK === 'true' ? this.resolver.llm : null,
+            confirmationTtl: process.env.CONFIRMATION_TTL_MINUTES
+                ? Number(process.env.CONFIRMATION_TTL_MINUTES) * 60 * 1000
+                : undefined,
+            sessionTtl: process.env.SESSION_TTL_MINUTES
+                ? Number(process.env.SESSION_TTL_MINUTES) * 60 * 1000
+                : undefined
+        });
+
+        // The chat interface needs the bot, so comment commands are attached afterwards
+        this.bot.slashCommands = new SlashCommands(this.github, this.chatInterface);
+
+        // Chat platforms are enabled by their credentials
+        this.slack = process.env.SLACK_SIGNING_SECRET
+            ? new SlackAdapter(this.chatInterface, {
+                signingSecret: process.env.SLACK_SIGNING_SECRET,
+                botToken: process.env.SLACK_BOT_TOKEN,
+                store: this.store
+            })
+            : null;
+        this.teams = process.env.MICROSOFT_APP_ID || process.env.TEAMS_ALLOW_UNAUTHENTICATED === 'true'
+            ? new TeamsAdapter(this.chatInterface, {
+                appId: process.env.MICROSOFT_APP_ID,
+                appPassword: process.env.MICROSOFT_APP_PASSWORD,
+                tenantId: process.env.MICROSOFT_APP_TENANT_ID,
+                allowUnauthenticated: process.env.TEAMS_ALLOW_UNAUTHENTICATED === 'true'
+            })
+            : null;
+
+        this.webhookQueue = new WebhookQueue(
+            delivery => this.bot.handleEvent(delivery.event, delivery.payload),
+            {
+                store: this.store,
+                options: {
+                    concurrency: Number(process.env.WEBHOOK_CONCURRENCY) || undefined,
+                    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined
+                }
+            }
+        );
+        this.webhookDeliveries = new WebhookDeliveries(this.github, this.webhookQueue, this.bot, this.webhookVerifier);
         
         this.setupMiddleware();
         this.setupRoutes();
     }
 
-    verifyWebhookSignature(req, res, next) {
+    async verifyWebhookSignature(req, res, next) {
         try {
-            console.log('Webhook Headers:', JSON.stringify(req.headers, null, 2));
-            console.log('Webhook Body:', JSON.stringify(req.body, null, 2));
+            const rejection = await this.webhookVerifier.verify(req);
+            if (rejection) {
+                console.error(`Webhook ${req.headers['x-github-delivery'] || ''} rejected: ${rejection.error}`);
+                return res.status(rejection.status).json({ error: rejection.error });
+            }
 
-            const signature = req.headers['x-hub-signature-256'];
-            const secret = process.env.GITHUB_WEBHOOK_SECRET;
+            next();
+        } catch (error) {
+            console.error('Webhook verification error:', error);
+            res.status(401).json({ error: 'Webhook verification failed' });
+        }
+    }
 
-            if (!secret) {
-                console.error('Webhook secret is not configured');
-                return res.status(401).json({ error: 'Webhook secret not configured' });
+    // Chat platform routes are disabled without credentials; every request must pass
+    // the platform's verification
+    requireChatPlatform(adapter, setting) {
+        return async (req, res, next) => {
+            if (!adapter) {
+                return res.status(403).json({ error: `Adapter disabled; set ${setting} to enable it` });
             }
 
-            if (!signature) {
-                console.error('No signature found in headers');
-                return res.status(401).json({ error: 'No signature found' });
+            try {
+                const rejection = await adapter.verify(req);
+                if (rejection) {
+                    console.error(`${req.path} request rejected: ${rejection.error}`);
+                    return res.status(rejection.status).json({ error: rejection.error });
+                }
+
+                next();
+            } catch (error) {
+                console.error('Chat platform verification error:', error);
+                res.status(401).json({ error: 'Request verification failed' });
             }
+        };
+    }
+
+    // Admin routes require ADMIN_TOKEN as a bearer token and are disabled without it
+    requireAdmin(req, res, next) {
+        const token = process.env.ADMIN_TOKEN;
+        if (!token) {
+            return res.status(403).json({ error: 'Admin API disabled; set ADMIN_TOKEN to enable it' });
+        }
+
+        const expected = Buffer.from(`Bearer ${token}`);
+        const received = Buffer.from(req.headers.authorization || '');
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
 
-            const payload = JSON.stringify(req.body);
-            const computedSignature = `sha256=${crypto
-                .createHmac('sha256', secret)
-                .update(payload)
-                .digest('hex')}`;
+        next();
+    }
 
-            console.log('Computed Signature:', computedSignature);
-            console.log('Received Signature:', signature);
+    // Answer a chat message as Server-Sent Events: progress and token events while the
+    // answer is prepared, then one response event; the stream ends after it
+    async streamChat(res, message, userId) {
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'message is required' });
+        }
 
-            const signatureMatch = crypto.timingSafeEqual(
-                Buffer.from(signature),
-                Buffer.from(computedSignature)
-            );
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
 
-            if (!signatureMatch) {
-                console.error('Signature mismatch');
-                return res.status(401).json({ error: 'Invalid signature' });
+        // The answer is still finished when the client leaves, e.g. to keep confirmations consistent
+        let open = true;
+        res.on('close', () => {
+            open = false;
+        });
+        const send = event => {
+            if (open) {
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
             }
+        };
+        const keepalive = setInterval(() => open && res.write(': keepalive\n\n'), STREAM_KEEPALIVE_MS);
 
-            console.log('Webhook signature verified successfully');
-            next();
+        try {
+            await this.chatInterface.handleMessage(message, userId, { onEvent: send });
         } catch (error) {
-            console.error('Webhook verification error:', error);
-            res.status(401).json({ error: 'Webhook verification failed' });
+            console.error('Chat stream error:', error);
+            send({ type: 'error', error: 'Failed to process message' });
+        } finally {
+            clearInterval(keepalive);
+            res.end();
         }
     }
 
     setupMiddleware() {
-        // Move webhook verification after JSON parsing
-        this.app.use(express.json());
-        this.app.use(express.urlencoded({ extended: true }));
+        // Keep the raw bytes; webhook signatures are computed over them, not the parsed JSON
+        const keepRawBody = (req, res, buf) => {
+            req.rawBody = buf;
+        };
+        this.app.use(express.json({ verify: keepRawBody }));
+        this.app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
         
         // CORS headers
         this.app.use((req, res, next) => {
             res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-Hub-Signature, X-Hub-Signature-256');
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Hub-Signature, X-Hub-Signature-256');
             res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
             if (req.method === 'OPTIONS') {
                 return res.status(200).end();
@@ -100,19 +245,116 @@ class Server {
             res.json({ status: 'healthy', timestamp: new Date().toISOString() });
         });
 
-        // GitHub webhook endpoint
+        // GitHub webhook endpoint; deliveries are queued and acknowledged within GitHub's 10s timeout
         this.app.post('/webhook', async (req, res) => {
             try {
-                console.log(`Received webhook: ${req.headers['x-github-event']}`);
-                await this.bot.handleWebhook(req, res);
+                const id = req.headers['x-github-delivery'];
+                const event = req.headers['x-github-event'];
+                console.log(`Received webhook: ${event} (${id})`);
+
+                await this.webhookQueue.enqueue({ id, event, payload: req.body });
+                await this.webhookVerifier.registerDelivery(id);
+                res.status(202).json({ queued: id });
             } catch (error) {
                 console.error('Webhook error:', error);
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
-        // Chat endpoint
-        this.app.post('/chat', async (req, res) => {
+        // Webhook queue administration
+        this.app.use('/admin', (req, res, next) => this.requireAdmin(req, res, next));
+
+        this.app.get('/admin/queue', async (req, res) => {
+            try {
+                res.json(await this.webhookQueue.stats());
+            } catch (error) {
+                console.error('Queue stats error:', error);
+                res.status(500).json({ error: 'Failed to get queue stats', details: error.message });
+            }
+        });
+
+        this.app.get('/admin/dead-letters', async (req, res) => {
+            try {
+                res.json({ dead_letters: await this.webhookQueue.listDeadLetters() });
+            } catch (error) {
+                console.error('Dead letters error:', error);
+                res.status(500).json({ error: 'Failed to list dead letters', details: error.message });
+            }
+        });
+
+        this.app.get('/admin/dead-letters/:id', async (req, res) => {
+            try {
+                const delivery = await this.webhookQueue.getDeadLetter(req.params.id);
+                if (!delivery) {
+                    return res.status(404).json({ error: 'Dead letter not found' });
+                }
+                res.json(delivery);
+            } catch (error) {
+                console.error('Dead letter error:', error);
+                res.status(500).json({ error: 'Failed to get dead letter', details: error.message });
+            }
+        });
+
+        this.app.post('/admin/dead-letters/:id/replay', async (req, res) => {
+            try {
+                const delivery = await this.webhookQueue.replayDeadLetter(req.params.id);
+                if (!delivery) {
+                    return res.status(404).json({ error: 'Dead letter not found' });
+                }
+                res.status(202).json({ queued: delivery.id });
+            } catch (error) {
+                console.error('Replay error:', error);
+                res.status(500).json({ error: 'Failed to replay delivery', details: error.message });
+            }
+        });
+
+        // Deliveries recorded by GitHub; ?repository=owner/repo&hook_id=N for repository hooks
+        this.app.get('/admin/deliveries', async (req, res) => {
+            try {
+                const { repository, hook_id: hookId, limit, missing } = req.query;
+                let deliveries = await this.webhookDeliveries.listRecent({ repository, hookId }, Number(limit) || 50);
+                if (missing === 'true') {
+                    deliveries = deliveries.filter(delivery => !delivery.known);
+                }
+                res.json({ deliveries });
+            } catch (error) {
+                console.error('Deliveries error:', error);
+                res.status(500).json({ error: 'Failed to list deliveries', details: error.message });
+            }
+        });
+
+        // Redeliver or replay missed deliveries; body: { repository, hook_id, guids, mode, dry_run }
+        this.app.post('/admin/deliveries/recover', async (req, res) => {
+            try {
+                const { repository, hook_id: hookId, guids, mode, dry_run: dryRun, limit } = req.body;
+                const result = await this.webhookDeliveries.recover({ repository, hookId }, {
+                    guids,
+                    mode,
+                    dryRun: Boolean(dryRun),
+                    limit: Number(limit) || 50
+                });
+                res.json(result);
+            } catch (error) {
+                console.error('Delivery recovery error:', error);
+                res.status(500).json({ error: 'Failed to recover deliveries', details: error.message });
+            }
+        });
+
+        this.app.delete('/admin/dead-letters/:id', async (req, res) => {
+            try {
+                const discarded = await this.webhookQueue.discardDeadLetter(req.params.id);
+                res.status(discarded ? 204 : 404).end();
+            } catch (error) {
+                console.error('Discard error:', error);
+                res.status(500).json({ error: 'Failed to discard dead letter', details: error.message });
+            }
+        });
+
+        // Routes that change repositories or cost LLM calls need the admin token
+        const adminOnly = (req, res, next) => this.requireAdmin(req, res, next);
+
+        // Chat endpoint; chat can release, rerun, cancel and analyze, so it needs the admin token
+        this.app.post('/chat', adminOnly, async (req, res) => {
             try {
                 const { message, userId = 'default' } = req.body;
                 const response = await this.chatInterface.handleMessage(message, userId);
@@ -123,6 +365,53 @@ class Server {
             }
         });
 
+        // Streaming chat over Server-Sent Events; takes the /chat body
+        this.app.post('/chat/stream', adminOnly, (req, res) => {
+            const { message, userId = 'default' } = req.body;
+            return this.streamChat(res, message, userId);
+        });
+
+        // Slack Events API: mentions and direct messages, answered in the message's thread
+        const slackOnly = this.requireChatPlatform(this.slack, 'SLACK_SIGNING_SECRET');
+        this.app.post('/slack/events', slackOnly, async (req, res) => {
+            try {
+                const reply = await this.slack.handleEvent(req.body);
+                res.status(200).json(reply || {});
+            } catch (error) {
+                console.error('Slack event error:', error);
+                res.status(500).json({ error: 'Failed to process Slack event' });
+            }
+        });
+
+        // Slack slash commands, e.g. "/ci-bot status owner/repo"
+        this.app.post('/slack/commands', slackOnly, async (req, res) => {
+            try {
+                res.json(await this.slack.handleCommand(req.body));
+            } catch (error) {
+                console.error('Slack command error:', error);
+                res.status(500).json({ error: 'Failed to process Slack command' });
+            }
+        });
+
+        // Slack button clicks; the payload form field holds the JSON
+        this.app.post('/slack/interactions', slackOnly, async (req, res) => {
+            try {
+                await this.slack.handleInteraction(JSON.parse(req.body.payload || '{}'));
+                res.status(200).end();
+            } catch (error) {
+                console.error('Slack interaction error:', error);
+                res.status(500).json({ error: 'Failed to process Slack interaction' });
+            }
+        });
+
+        // Teams Bot Framework messaging endpoint; answers are sent to the conversation
+        // once ready, so the activity is acknowledged first
+        this.app.post('/teams/messages', this.requireChatPlatform(this.teams, 'MICROSOFT_APP_ID'), (req, res) => {
+            res.status(200).end();
+            this.teams.handleActivity(req.body)
+                .catch(error => console.error('Teams activity error:', error.message));
+        });
+
         // Get repository status
         this.app.get('/status/:owner/:repo', async (req, res) => {
             try {
@@ -130,8 +419,10 @@ class Server {
                 
                 // Add error handling for workflow fetch
                 let workflows;
+                let octokit;
                 try {
-                    workflows = await this.bot.octokit.rest.actions.listRepoWorkflows({
+                    octokit = await this.github.getOctokit(owner, repo);
+                    workflows = await octokit.rest.actions.listRepoWorkflows({
                         owner,
                         repo
                     });
@@ -160,7 +451,7 @@ class Server {
 
                 // Get the first workflow and fetch its runs
                 const workflowId = workflows.data.workflows[0].id;
-                const runs = await this.bot.octokit.rest.actions.listWorkflowRuns({
+                const runs = await octokit.rest.actions.listWorkflowRuns({
                     owner,
                     repo,
                     workflow_id: workflowId,
@@ -172,7 +463,8 @@ class Server {
                     workflowId,
                     workflowName: workflows.data.workflows[0].name,
                     runs: runs.data.workflow_runs || [],
-                    total_count: runs.data.total_count || 0
+                    total_count: runs.data.total_count || 0,
+                    active_jobs: await this.bot.jobs.listActive(`${owner}/${repo}`)
                 });
             } catch (error) {
                 console.error('Status error:', error);
@@ -183,49 +475,152 @@ class Server {
             }
         });
 
-        // Manual pipeline trigger
-        this.app.post('/trigger/:owner/:repo', async (req, res) => {
+        // Repositories served through GitHub App installations
+        this.app.get('/repositories', async (req, res) => {
+            try {
+                res.json({
+                    mode: this.github.isApp ? 'app' : 'token',
+                    repositories: await this.github.listRepositories()
+                });
+            } catch (error) {
+                console.error('Repositories error:', error);
+                res.status(500).json({
+                    error: 'Failed to list repositories',
+                    details: error.message
+                });
+            }
+        });
+
+        // Releases dispatched by the bot and their deployments
+        this.app.get('/releases/:owner/:repo', async (req, res) => {
             try {
                 const { owner, repo } = req.params;
-                const { artifactId, branch = 'main' } = req.body;
-                
-                // Add error handling for workflow fetch
-                let workflows;
-                try {
-                    workflows = await this.bot.octokit.rest.actions.listRepoWorkflows({
-                        owner,
-                        repo
-                    });
-                } catch (error) {
-                    console.error('Failed to fetch workflows:', error);
-                    return res.status(404).json({ 
-                        error: 'Failed to fetch workflows',
-                        details: error.message 
-                    });
-                }
+                res.json({
+                    repository: `${owner}/${repo}`,
+                    releases: await this.bot.releases.list(`${owner}/${repo}`)
+                });
+            } catch (error) {
+                console.error('Releases error:', error);
+                res.status(500).json({
+                    error: 'Failed to get releases',
+                    details: error.message
+                });
+            }
+        });
 
-                // Validate workflows data
-                if (!workflows?.data?.workflows) {
-                    return res.status(404).json({ 
-                        error: 'No workflows data available',
-                        repository: `${owner}/${repo}`
-                    });
-                }
+        // Failure groups by fingerprint
+        this.app.get('/failures/:owner/:repo', async (req, res) => {
+            try {
+                const { owner, repo } = req.params;
+                const groups = await this.resolver.failureHistory.list(`${owner}/${repo}`);
 
-                if (workflows.data.workflows.length === 0) {
-                    return res.status(404).json({ 
-                        error: 'No workflows found in repository',
-                        repository: `${owner}/${repo}`
-                    });
+                res.json({
+                    repository: `${owner}/${repo}`,
+                    groups: groups.map(group => ({
+                        fingerprint: group.fingerprint,
+                        workflow: group.workflow,
+                        count: group.count,
+                        first_seen: group.first_seen,
+                        last_seen: group.last_seen,
+                        run_ids: group.run_ids,
+                        root_cause: group.analysis ? group.analysis.root_cause : null
+                    }))
+                });
+            } catch (error) {
+                console.error('Failures error:', error);
+                res.status(500).json({
+                    error: 'Failed to get failure groups',
+                    details: error.message
+                });
+            }
+        });
+
+        // Manual pipeline trigger; body: { workflow, ref, inputs, artifactId }
+        this.app.post('/trigger/:owner/:repo', adminOnly, async (req, res) => {
+            try {
+                const { owner, repo } = req.params;
+                const { workflow, ref, branch, inputs = {}, artifactId } = req.body;
+
+                if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+                    return res.status(400).json({ error: 'inputs must be an object' });
                 }
 
-                const workflowId = workflows.data.workflows[0].id;
-                const result = await this.bot.triggerPipeline(owner, repo, branch, workflowId, artifactId);
+                const result = await this.bot.triggerPipeline(owner, repo, {
+                    workflow,
+                    ref: ref || branch,
+                    inputs,
+                    artifactId
+                });
                 res.json(result);
             } catch (error) {
                 console.error('Trigger error:', error);
-                res.status(500).json({ 
+                const status = [400, 404, 422].includes(error.status) ? error.status : 500;
+                res.status(status).json({
                     error: 'Failed to trigger pipeline',
+                    details: error.errors || error.message
+                });
+            }
+        });
+
+        // Every workflow with its recent runs and active jobs, as the chat's status and history use
+        this.app.get('/workflows/:owner/:repo', async (req, res) => {
+            try {
+                const { owner, repo } = req.params;
+                res.json(await this.bot.getRepositoryStatus(owner, repo));
+            } catch (error) {
+                console.error('Workflows error:', error);
+                res.status(500).json({
+                    error: 'Failed to get workflows',
+                    details: error.message
+                });
+            }
+        });
+
+        // Analyze a failed run without reporting it; known failures reuse their analysis
+        // unless fresh is set. Analyses cost LLM calls, so this needs the admin token.
+        this.app.post('/analyze/:owner/:repo/:runId', adminOnly, async (req, res) => {
+            try {
+                const { owner, repo, runId } = req.params;
+                const { fresh = false } = req.body;
+
+                if (!/^\d+$/.test(runId)) {
+                    return res.status(400).json({ error: 'runId must be a number' });
+                }
+
+                res.json(await this.bot.analyzeRun(owner, repo, Number(runId), { fresh: Boolean(fresh) }));
+            } catch (error) {
+                console.error('Analyze error:', error);
+                const status = [404, 409].includes(error.status) ? error.status : 500;
+                res.status(status).json({
+                    error: 'Failed to analyze run',
+                    details: error.message
+                });
+            }
+        });
+
+        // Rerun a workflow run: every job, only the failed ones or one job by name. Chat asks
+        // for a confirmation first; the API needs the admin token instead.
+        this.app.post('/rerun/:owner/:repo/:runId', adminOnly, async (req, res) => {
+            try {
+                const { owner, repo, runId } = req.params;
+                const { failedOnly = false, job = null, debug = false } = req.body;
+
+                if (!/^\d+$/.test(runId)) {
+                    return res.status(400).json({ error: 'runId must be a number' });
+                }
+
+                const result = await this.bot.rerunWorkflow(owner, repo, Number(runId), {
+                    failedOnly: Boolean(failedOnly),
+                    job,
+                    debug: Boolean(debug),
+                    requestedBy: 'api'
+                });
+                res.json(result);
+            } catch (error) {
+                console.error('Rerun error:', error);
+                const status = [400, 403, 404, 409, 422].includes(error.status) ? error.status : 500;
+                res.status(status).json({
+                    error: 'Failed to rerun workflow',
                     details: error.message
                 });
             }
@@ -237,6 +632,16 @@ class Server {
             console.log(`🤖 GitHub CI Bot running on port ${this.port}`);
             console.log(`📡 Webhook endpoint: http://localhost:${this.port}/webhook`);
             console.log(`💬 Chat endpoint: http://localhost:${this.port}/chat`);
+            console.log(`📺 Streaming chat: http://localhost:${this.port}/chat/stream`);
+
+            // Continue deliveries that were queued before a restart
+            this.webhookQueue.start()
+                .catch(error => console.error('Webhook queue error:', error));
+
+            // Pick up runs that finished while the bot was down
+            this.bot.recoverActiveRuns()
+                .then(count => console.log(`♻️  Recovered ${count} workflow runs from store`))
+                .catch(error => console.error('Run recovery error:', error));
         });
     }
 }
@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { MemoryStore } from './store.js';
+
+const SLACK_API_URL = 'https://slack.com/api';
+
+// Requests signed longer ago than this are rejected as replays
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+// Slack retries events it did not see acknowledged; event ids are remembered this long
+const EVENT_DEDUPE_TTL_MS = 60 * 60 * 1000;
+
+// Slash commands must be answered within 3 seconds; slower answers are posted to the
+// command's response_url instead
+const INLINE_REPLY_MS = 2500;
+
+// Block Kit limits
+const MAX_SECTION_LENGTH = 3000;
+const MAX_BLOCKS = 50;
+const MAX_BUTTONS = 25;
+
+// Convert the chat's markdown to Slack mrkdwn: bold is *x*, links are <url|text>
+function toMrkdwn(markdown) {
+    return markdown
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\*\*(.+?)\*\*/g, '*$1*')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<$2|$1>');
+}
+
+// Split text at paragraph, then line boundaries into pieces of at most `limit` characters
+function splitText(text, limit) {
+    const pieces = [];
+    let current = '';
+    const append = (unit, separator) => {
+        if (current && current.length + separator.length + unit.length > limit) {
+            pieces.push(current);
+            current = '';
+        }
+        current = current ? `${current}${separator}${unit}` : unit;
+    };
+
+    for (const paragraph of text.split(/\n{2,}/)) {
+        if (paragraph.length <= limit) {
+            append(paragraph, '\n\n');
+            continue;
+        }
+        paragraph.split('\n').forEach((line, index) => {
+            // Lines longer than a piece are cut; full-length slices never share a piece
+            for (let start = 0; start === 0 || start < line.length; start += limit) {
+                append(line.slice(start, start + limit), index === 0 && start === 0 ? '\n\n' : '\n');
+            }
+        });
+    }
+    if (current.trim()) {
+        pieces.push(current);
+    }
+    return pieces;
+}
+
+// Render a chat response and its offered actions as a Block Kit message
+function toBlockKit(markdown, actions = [], context = null) {
+    const text = toMrkdwn(markdown);
+    const blocks = [];
+
+    if (context) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: context }] });
+    }
+    for (const piece of splitText(text, MAX_SECTION_LENGTH)) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: piece } });
+    }
+    // Keep room for the buttons; the full text is still in the notification fallback
+    blocks.splice(actions.length > 0 ? MAX_BLOCKS - 1 : MAX_BLOCKS);
+
+    if (actions.length > 0) {
+        blocks.push({
+            type: 'actions',
+            elements: actions.slice(0, MAX_BUTTONS).map((action, index) => ({
+                type: 'button',
+                action_id: `ci-bot:${index}`,
+                text: { type: 'plain_text', text: action.label },
+                value: action.command,
+                ...(action.style ? { style: action.style } : {})
+            }))
+        });
+    }
+
+    return { text, blocks };
+}
+
+// Chat with the bot from Slack: Events API mentions and direct messages, slash commands
+// and button clicks. Every request is verified against the app's signing secret; each
+// Slack user ("slack:<team>:<user>") has their own chat session and confirmations.
+class SlackAdapter {
+    constructor(chat, config = {}) {
+        this.chat = chat;
+        this.signingSecret = config.signingSecret;
+        this.botToken = config.botToken;
+        this.logger = config.logger || console;
+        this.events = (config.store || new MemoryStore()).collection('slack-events', {
+            ttl: EVENT_DEDUPE_TTL_MS
+        });
+    }
+
+    // Check a request's X-Slack-Signature; returns null when valid, otherwise { status, error }
+    verify(req) {
+        if (!this.signingSecret) {
+            return { status: 401, error: 'Slack signing secret not configured' };
+        }
+
+        const timestamp = req.headers['x-slack-request-timestamp'];
+        const signature = req.headers['x-slack-signature'];
+        if (!timestamp || typeof signature !== 'string' || !req.rawBody) {
+            return { status: 401, error: 'Missing Slack signature' };
+        }
+        if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) {
+            return { status: 401, error: 'Slack request timestamp too old' };
+        }
+
+        const expected = Buffer.from(`v0=${crypto
+            .createHmac('sha256', this.signingSecret)
+            .update(`v0:${timestamp}:${req.rawBody}`)
+            .digest('hex')}`);
+        const received = Buffer.from(signature);
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            return { status: 401, error: 'Invalid signature' };
+        }
+
+        return null;
+    }
+
+    userId(teamId, userId) {
+        return `slack:${teamId}:${userId}`;
+    }
+
+    // Run a message through the chat and render the answer with its buttons; the prefix
+    // is shown in front of replies the answer asks for, e.g. "/ci-bot confirm KQT482"
+    async ask(text, userId, context = null, commandPrefix = '') {
+        const actions = [];
+        const response = await this.chat.handleMessage(text || 'help', userId, {
+            commandPrefix,
+            onEvent: event => event.type === 'action' && actions.push(event)
+        });
+        return toBlockKit(response, actions, context);
+    }
+
+    // Events API callback; returns the body to acknowledge it with. Answers are posted
+    // with chat.postMessage in the thread of the message.
+    async handleEvent(body) {
+        if (body.type === 'url_verification') {
+            return { challenge: body.challenge };
+        }
+
+        const event = body.event || {};
+        if (body.type !== 'event_callback' || !['app_mention', 'message'].includes(event.type)) {
+            return null;
+        }
+        // The bot's own messages and edits are not commands
+        if (event.bot_id || event.subtype) {
+            return null;
+        }
+        // Only direct messages; channel messages reach the bot as app_mention
+        if (event.type === 'message' && event.channel_type !== 'im') {
+            return null;
+        }
+        if (await this.events.has(body.event_id)) {
+            return null;
+        }
+        await this.events.set(body.event_id, { received_at: new Date().toISOString() });
+
+        const text = (event.text || '').replace(/<@[A-Z0-9]+>/g, '').trim();
+        const userId = this.userId(body.team_id, event.user);
+        this.ask(text, userId)
+            .then(message => this.postMessage(event.channel, message, event.thread_ts || event.ts))
+            .catch(error => this.logger.error(`Failed to answer Slack event ${body.event_id}:`, error.message));
+
+        return null;
+    }
+
+    // Slash command; answered directly when quick enough, otherwise acknowledged and
+    // answered through the response_url
+    async handleCommand(body) {
+        const userId = this.userId(body.team_id, body.user_id);
+        const context = `<@${body.user_id}>: ${body.command} ${body.text || ''}`.trim();
+        const answer = this.ask(body.text, userId, context, `${body.command} `);
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(resolve, INLINE_REPLY_MS, null);
+        });
+        const message = await Promise.race([answer, timeout]);
+        clearTimeout(timer);
+        if (message) {
+            return { response_type: 'in_channel', ...message };
+        }
+
+        answer
+            .then(deferred => this.respond(body.response_url, { response_type: 'in_channel', ...deferred }))
+            .catch(error => this.logger.error(`Failed to answer Slack command from ${userId}:`, error.message));
+        return { response_type: 'ephemeral', text: '⏳ Working on it...' };
+    }
+
+    // Button click in a message; the button's value is the reply it stands for. Slack
+    // ignores the response body of clicks, so the answer goes to the response_url.
+    async handleInteraction(payload) {
+        const [action] = payload.actions || [];
+        if (payload.type !== 'block_actions' || !action || !action.value) {
+            return null;
+        }
+
+        const teamId = payload.team ? payload.team.id : payload.user.team_id;
+        const userId = this.userId(teamId, payload.user.id);
+        const context = `<@${payload.user.id}> clicked *${action.text ? action.text.text : action.value}*`;
+        this.ask(action.value, userId, context)
+            .then(message => this.respond(payload.response_url, {
+                response_type: 'in_channel',
+                replace_original: false,
+                ...message
+            }))
+            .catch(error => this.logger.error(`Failed to answer Slack click from ${userId}:`, error.message));
+
+        return null;
+    }
+
+    async respond(responseUrl, message) {
+        await axios.post(responseUrl, message);
+    }
+
+    async postMessage(channel, message, threadTs) {
+        if (!this.botToken) {
+            throw new Error('SLACK_BOT_TOKEN is not set, cannot post messages');
+        }
+
+        const { data } = await axios.post(`${SLACK_API_URL}/chat.postMessage`, {
+            channel,
+            thread_ts: threadTs,
+            ...message
+        }, {
+            headers: { Authorization: `Bearer ${this.botToken}` }
+        });
+        if (!data.ok) {
+            throw new Error(`chat.postMessage failed: ${data.error}`);
+        }
+    }
+}
+
+export { toMrkdwn, toBlockKit };
+export default SlackAdapter;
@@ -0,0 +1,93 @@
+// Slash commands are comment lines starting with this prefix
+const SLASH_COMMAND_PREFIX = '/ci-bot';
+
+// Hidden marker on the bot's replies, so replies posted with a personal token are not run again
+const REPLY_MARKER = '<!-- ci-bot:command-reply -->';
+
+// Permission levels allowed to run commands that change something
+const WRITE_PERMISSIONS = ['admin', 'maintain', 'write'];
+
+// "/ci-bot ..." lines of a comment, outside code blocks
+function parseSlashCommands(body = '') {
+    return body
+        .replace(/```[\s\S]*?```/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line === SLASH_COMMAND_PREFIX || line.startsWith(`${SLASH_COMMAND_PREFIX} `));
+}
+
+// Runs "/ci-bot ..." commands from issue and pull request comments through the chat
+// interface, scoped to the comment's repository, and replies with the chat's answer.
+// Each issue or pull request has its own chat session, so "/ci-bot confirm <token>"
+// confirms an action requested by an earlier command in the same thread.
+class SlashCommands {
+    constructor(github, chat, options = {}) {
+        this.github = github;
+        this.chat = chat;
+        this.logger = options.logger || console;
+    }
+
+    async handle(payload) {
+        const { comment, issue, repository } = payload;
+        const commands = parseSlashCommands(comment.body);
+        if (commands.length === 0 || comment.body.includes(REPLY_MARKER)) {
+            return;
+        }
+
+        const owner = repository.owner.login;
+        const octokit = await this.github.getOctokit(owner, repository.name);
+        const sessionId = `github:${repository.full_name}#${issue.number}`;
+        let canWrite;
+
+        const replies = [];
+        for (const command of commands) {
+            this.logger.log(`Slash command from ${comment.user.login} on ${repository.full_name}#${issue.number}: ${command}`);
+
+            const message = command.slice(SLASH_COMMAND_PREFIX.length).trim() || 'help';
+            const response = await this.chat.handleMessage(message, sessionId, {
+                repository: { owner, name: repository.name },
+                commandPrefix: `${SLASH_COMMAND_PREFIX} `,
+                // Checked once per comment, and only when a command needs it
+                authorize: async () => {
+                    if (canWrite === undefined) {
+                        canWrite = await this.canWrite(octokit, owner, repository.name, comment.user.login);
+                    }
+                    return canWrite
+                        ? null
+                        : `🔒 @${comment.user.login} needs write access to ${repository.full_name} to run \`${command}\`.`;
+                }
+            });
+
+            replies.push(`> ${command}\n\n${response}`);
+        }
+
+        // Commands may already have released or rerun something, so a failed reply is not retried
+        try {
+            await octokit.issues.createComment({
+                owner,
+                repo: repository.name,
+                issue_number: issue.number,
+                body: `${REPLY_MARKER}\n${replies.join('\n\n---\n\n')}`
+            });
+        } catch (error) {
+            this.logger.error(`Failed to reply to commands on ${repository.full_name}#${issue.number}:`, error.message);
+        }
+    }
+
+    // Whether the user may run commands that change something in the repository
+    async canWrite(octokit, owner, repo, username) {
+        try {
+            const { data } = await octokit.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+            return WRITE_PERMISSIONS.includes(data.permission) || WRITE_PERMISSIONS.includes(data.role_name);
+        } catch (error) {
+            // Users who are not collaborators have no permission level
+            if (error.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+export { parseSlashCommands };
+export default SlashCommands;
@@ -0,0 +1,247 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_STORE_PATH = path.join(process.cwd(), 'data', 'ci-bot-store.json');
+
+// Expired records are swept on the next write after this interval, so collections
+// that are never read back by key do not grow until a restart
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Records are stored as { value, expiresAt } so every backend can honour TTLs
+function isExpired(record, now = Date.now()) {
+    return Boolean(record && record.expiresAt && record.expiresAt <= now);
+}
+
+// Namespaced view over a store with Map-like, async accessors.
+// Expired entries are treated as missing and removed lazily.
+class StoreCollection {
+    constructor(store, namespace, options = {}) {
+        this.store = store;
+        this.namespace = namespace;
+        this.ttl = options.ttl || null;
+    }
+
+    async get(key) {
+        const record = await this.store.read(this.namespace, String(key));
+        if (!record) {
+            return undefined;
+        }
+
+        if (isExpired(record)) {
+            await this.store.remove(this.namespace, String(key));
+            return undefined;
+        }
+
+        return record.value;
+    }
+
+    async has(key) {
+        return (await this.get(key)) !== undefined;
+    }
+
+    async set(key, value, ttl = this.ttl) {
+        await this.store.write(this.namespace, String(key), {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
+        });
+        return value;
+    }
+
+    async delete(key) {
+        return this.store.remove(this.namespace, String(key));
+    }
+
+    async entries() {
+        const records = await this.store.list(this.namespace);
+        const now = Date.now();
+        return records
+            .filter(([, record]) => !isExpired(record, now))
+            .map(([key, record]) => [key, record.value]);
+    }
+
+    async values() {
+        return (await this.entries()).map(([, value]) => value);
+    }
+}
+
+// In-memory backend and reference implementation of the storage interface.
+// Other backends must implement read/write/remove/list with the same semantics.
+class MemoryStore {
+    constructor() {
+        this.data = {};
+        this.lastPruned = Date.now();
+    }
+
+    collection(namespace, options = {}) {
+        return new StoreCollection(this, namespace, options);
+    }
+
+    async read(namespace, key) {
+        const bucket = this.data[namespace];
+        return bucket ? bucket[key] : undefined;
+    }
+
+    async write(namespace, key, record) {
+        this.pruneIfDue();
+        if (!this.data[namespace]) {
+            this.data[namespace] = {};
+        }
+        this.data[namespace][key] = record;
+    }
+
+    async remove(namespace, key) {
+        const bucket = this.data[namespace];
+        if (!bucket || !(key in bucket)) {
+            return false;
+        }
+        delete bucket[key];
+        return true;
+    }
+
+    async list(namespace) {
+        return Object.entries(this.data[namespace] || {});
+    }
+
+    // Drop expired records across all namespaces
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const bucket of Object.values(this.data)) {
+            for (const [key, record] of Object.entries(bucket)) {
+                if (isExpired(record, now)) {
+                    delete bucket[key];
+                    removed++;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    pruneIfDue(now = Date.now()) {
+        if (now - this.lastPruned < PRUNE_INTERVAL_MS) {
+            return 0;
+        }
+        this.lastPruned = now;
+        return this.prune();
+    }
+}
+
+// JSON file backend. The whole dataset is kept in memory and rewritten
+// atomically (temp file + rename) after mutations; mutations made while a
+// write is waiting are saved by that same write.
+class JsonFileStore extends MemoryStore {
+    constructor(filePath = DEFAULT_STORE_PATH, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.logger = options.logger || console;
+        this.ready = null;
+        this.pendingWrite = Promise.resolve();
+        this.queuedWrite = null;
+    }
+
+    async load() {
+        if (!this.ready) {
+            this.ready = this.readFile().catch(error => {
+                // Starting empty would overwrite the file with the next write; fail and try again later
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async readFile() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.data = {};
+                return;
+            }
+            throw error;
+        }
+
+        try {
+            this.data = JSON.parse(content);
+        } catch (error) {
+            // Keep a corrupt or partly written file for inspection and start empty
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            await fs.rename(this.filePath, corruptPath);
+            this.logger.error(`Store ${this.filePath} is not valid JSON (${error.message}), moved it to ${corruptPath}`);
+            this.data = {};
+            return;
+        }
+
+        const removed = this.prune();
+        if (removed > 0) {
+            this.logger.log(`Pruned ${removed} expired records from ${this.filePath}`);
+        }
+    }
+
+    persist() {
+        if (!this.queuedWrite) {
+            this.queuedWrite = this.pendingWrite
+                .then(async () => {
+                    // Mutations from here on need another write
+                    this.queuedWrite = null;
+                    const tempPath = `${this.filePath}.tmp`;
+                    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                    await fs.writeFile(tempPath, JSON.stringify(this.data));
+                    await fs.rename(tempPath, this.filePath);
+                })
+                .catch(error => {
+                    this.logger.error(`Failed to persist store ${this.filePath}:`, error.message);
+                });
+            this.pendingWrite = this.queuedWrite;
+        }
+        return this.queuedWrite;
+    }
+
+    async read(namespace, key) {
+        await this.load();
+        return super.read(namespace, key);
+    }
+
+    async write(namespace, key, record) {
+        await this.load();
+        await super.write(namespace, key, record);
+        await this.persist();
+    }
+
+    async remove(namespace, key) {
+        await this.load();
+        const removed = await super.remove(namespace, key);
+        if (removed) {
+            await this.persist();
+        }
+        return removed;
+    }
+
+    async list(namespace) {
+        await this.load();
+        return super.list(namespace);
+    }
+}
+
+// Build a store from config. `driver` is 'json' (default) or 'memory';
+// any object already implementing the storage interface is returned as-is.
+function createStore(config = {}) {
+    if (config.driver && typeof config.driver === 'object') {
+        return config.driver;
+    }
+
+    switch (config.driver || 'json') {
+        case 'memory':
+            return new MemoryStore();
+        case 'json':
+            return new JsonFileStore(config.path || DEFAULT_STORE_PATH, { logger: config.logger });
+        default:
+            throw new Error(`Unknown store driver: ${config.driver}`);
+    }
+}
+
+export { MemoryStore, JsonFileStore, StoreCollection };
+export default createStore;
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+// Bot Framework signs the tokens of incoming activities with keys listed here
+const OPENID_CONFIG_URL = 'https://login.botframework.com/v1/.well-known/openidconfiguration';
+const TOKEN_ISSUER = 'https://api.botframework.com';
+
+// Signing keys are fetched again after a day, or sooner when a token names an unknown key
+const SIGNING_KEYS_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Tolerated clock difference when checking token lifetimes
+const CLOCK_SKEW_SECONDS = 5 * 60;
+
+// Replies authenticate with an app token for the Bot Framework connector
+const CONNECTOR_SCOPE = 'https://api.botframework.com/.default';
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Render a chat response and its offered actions as an Adaptive Card. Every line is its
+// own TextBlock, since Teams joins the lines of a TextBlock that are not list items.
+function toAdaptiveCard(markdown, actions = []) {
+    const body = [];
+    for (const paragraph of markdown.split(/\n{2,}/)) {
+        paragraph.split('\n').filter(line => line.trim()).forEach((line, index) => {
+            body.push({
+                type: 'TextBlock',
+                text: line.trim(),
+                wrap: true,
+                ...(index > 0 ? { spacing: 'None' } : {})
+            });
+        });
+    }
+
+    const styles = { primary: 'positive', danger: 'destructive' };
+    return {
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.4',
+        body,
+        actions: actions.map(action => ({
+            type: 'Action.Submit',
+            title: action.label,
+            data: { command: action.command },
+            ...(styles[action.style] ? { style: styles[action.style] } : {})
+        }))
+    };
+}
+
+// Chat with the bot from Microsoft Teams through the Bot Framework. Incoming activities
+// carry a token signed by the Bot Framework for our app id; answers are sent back to
+// the conversation as Adaptive Cards. Each Teams user ("teams:<tenant>:<user>") has
+// their own chat session and confirmations.
+class TeamsAdapter {
+    constructor(chat, config = {}) {
+        this.chat = chat;
+        this.appId = config.appId;
+        this.appPassword = config.appPassword;
+        this.tenantId = config.tenantId || 'botframework.com';
+        // Only for the Bot Framework Emulator and recorded fixtures: no token checks, and
+        // replies go unauthenticated to whatever serviceUrl the activity names
+        this.allowUnauthenticated = Boolean(config.allowUnauthenticated);
+        if (this.allowUnauthenticated && this.appId && this.appPassword) {
+            throw new Error('TEAMS_ALLOW_UNAUTHENTICATED cannot be used with Microsoft app credentials');
+        }
+        this.signingKeys = null;
+        this.appToken = null;
+    }
+
+    // Check an activity's bearer token; returns null when valid, otherwise { status, error }
+    async verify(req) {
+        if (this.allowUnauthenticated) {
+            return null;
+        }
+        if (!this.appId) {
+            return { status: 401, error: 'Microsoft app id not configured' };
+        }
+
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        const segments = scheme === 'Bearer' && token ? token.split('.') : [];
+        if (segments.length !== 3) {
+            return { status: 401, error: 'Missing bearer token' };
+        }
+
+        let header;
+        let claims;
+        try {
+            header = decodeSegment(segments[0]);
+            claims = decodeSegment(segments[1]);
+        } catch (error) {
+            return { status: 401, error: 'Malformed token' };
+        }
+        if (header.alg !== 'RS256') {
+            return { status: 401, error: `Unsupported token algorithm ${header.alg}` };
+        }
+
+        const key = await this.getSigningKey(header.kid);
+        if (!key) {
+            return { status: 401, error: `Unknown signing key ${header.kid}` };
+        }
+        const activity = req.body || {};
+        if (key.endorsements && activity.channelId && !key.endorsements.includes(activity.channelId)) {
+            return { status: 401, error: `Signing key not endorsed for channel ${activity.channelId}` };
+        }
+
+        const signed = crypto.verify(
+            'RSA-SHA256',
+            Buffer.from(`${segments[0]}.${segments[1]}`),
+            crypto.createPublicKey({ key, format: 'jwk' }),
+            Buffer.from(segments[2], 'base64url')
+        );
+        if (!signed) {
+            return { status: 401, error: 'Invalid token signature' };
+        }
+
+        const now = Date.now() / 1000;
+        if (claims.iss !== TOKEN_ISSUER || claims.aud !== this.appId) {
+            return { status: 401, error: 'Token was not issued for this bot' };
+        }
+        if (claims.exp < now - CLOCK_SKEW_SECONDS || (claims.nbf && claims.nbf > now + CLOCK_SKEW_SECONDS)) {
+            return { status: 401, error: 'Token expired' };
+        }
+        // Replies carry the app token to the activity's serviceUrl, so it must be the signed one
+        if (!claims.serviceurl || claims.serviceurl !== activity.serviceUrl) {
+            return { status: 401, error: 'Token was issued for another service URL' };
+        }
+
+        return null;
+    }
+
+    // JWK with the given key id from the Bot Framework's published keys
+    async getSigningKey(kid) {
+        const stale = !this.signingKeys || Date.now() - this.signingKeys.fetchedAt > SIGNING_KEYS_TTL_MS;
+        if (stale || !this.signingKeys.keys.some(key => key.kid === kid)) {
+            const { data: openIdConfig } = await axios.get(OPENID_CONFIG_URL);
+            const { data: jwks } = await axios.get(openIdConfig.jwks_uri);
+            this.signingKeys = { keys: jwks.keys, fetchedAt: Date.now() };
+        }
+        return this.signingKeys.keys.find(key => key.kid === kid) || null;
+    }
+
+    userId(activity) {
+        const tenant = (activity.channelData && activity.channelData.tenant && activity.channelData.tenant.id) ||
+            activity.conversation.tenantId || 'default';
+        return `teams:${tenant}:${activity.from.aadObjectId || activity.from.id}`;
+    }
+
+    // Answer a message activity; card buttons arrive as messages whose value holds the
+    // command. Other activity types are ignored.
+    async handleActivity(activity) {
+        if (activity.type !== 'message') {
+            return null;
+        }
+
+        const text = activity.value && activity.value.command
+            ? activity.value.command
+            : (activity.text || '').replace(/<at>.*?<\/at>/g, '').trim();
+
+        const actions = [];
+        const response = await this.chat.handleMessage(text || 'help', this.userId(activity), {
+            onEvent: event => event.type === 'action' && actions.push(event)
+        });
+        const card = toAdaptiveCard(response, actions);
+        await this.reply(activity, card);
+        return card;
+    }
+
+    // Post a card as a reply to an activity through the Bot Framework connector
+    async reply(activity, card) {
+        const serviceUrl = activity.serviceUrl.replace(/\/$/, '');
+        const url = `${serviceUrl}/v3/conversations/${encodeURIComponent(activity.conversation.id)}` +
+            `/activities/${encodeURIComponent(activity.id)}`;
+
+        const headers = {};
+        if (this.appId && this.appPassword) {
+            headers.Authorization = `Bearer ${await this.getAppToken()}`;
+        }
+
+        await axios.post(url, {
+            type: 'message',
+            from: activity.recipient,
+            recipient: activity.from,
+            conversation: activity.conversation,
+            replyToId: activity.id,
+            attachments: [{
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                content: card
+            }]
+        }, { headers });
+    }
+
+    // Client-credentials token for the connector, reused until shortly before it expires
+    async getAppToken() {
+        if (this.appToken && this.appToken.expiresAt > Date.now()) {
+            return this.appToken.token;
+        }
+
+        const { data } = await axios.post(
+            `https://login.microsoftonline.com/${this.tenantId}/oauth2/v2.0/token`,
+            new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: this.appId,
+                client_secret: this.appPassword,
+                scope: CONNECTOR_SCOPE
+            })
+        );
+        this.appToken = {
+            token: data.access_token,
+            expiresAt: Date.now() + (data.expires_in - 300) * 1000
+        };
+        return this.appToken.token;
+    }
+}
+
+export { toAdaptiveCard };
+export default TeamsAdapter;
@@ -0,0 +1,111 @@
+// Recovers webhook deliveries the bot missed, e.g. while it was down. Deliveries
+// are listed from GitHub (the app hook, or a repository hook with a hook id),
+// compared with the queue's delivery log, and either redelivered by GitHub or
+// replayed locally from the payload GitHub recorded.
+class WebhookDeliveries {
+    constructor(github, queue, bot, verifier = null, options = {}) {
+        this.github = github;
+        this.queue = queue;
+        this.bot = bot;
+        this.verifier = verifier;
+        this.logger = options.logger || console;
+    }
+
+    // API client and parameters for the hook: { repository: 'owner/repo', hookId } or the app hook
+    async getHook({ repository, hookId } = {}) {
+        if (repository && hookId) {
+            const [owner, repo] = repository.split('/');
+            return {
+                api: (await this.github.getOctokit(owner, repo)).repos,
+                params: { owner, repo, hook_id: Number(hookId) }
+            };
+        }
+
+        if (!this.github.isApp) {
+            throw new Error('repository and hook_id are required unless the bot runs as a GitHub App');
+        }
+        return { api: this.github.getAppOctokit().apps, params: {} };
+    }
+
+    // Recent deliveries, one per GUID (latest attempt), with what the bot recorded for each
+    async listRecent(hook = {}, limit = 50) {
+        const { api, params } = await this.getHook(hook);
+        const { data } = await api.listWebhookDeliveries({ ...params, per_page: Math.min(limit, 100) });
+
+        const latest = new Map();
+        for (const delivery of data) {
+            const seen = latest.get(delivery.guid);
+            if (!seen || seen.delivered_at < delivery.delivered_at) {
+                latest.set(delivery.guid, delivery);
+            }
+        }
+
+        const deliveries = [];
+        for (const delivery of latest.values()) {
+            const record = await this.queue.getDeliveryRecord(delivery.guid);
+            deliveries.push({
+                id: delivery.id,
+                guid: delivery.guid,
+                event: delivery.event,
+                action: delivery.action,
+                delivered_at: delivery.delivered_at,
+                status_code: delivery.status_code,
+                redelivery: delivery.redelivery,
+                known: Boolean(record),
+                bot_status: record ? record.status : null
+            });
+        }
+
+        return deliveries.sort((a, b) => b.delivered_at.localeCompare(a.delivered_at));
+    }
+
+    // Redeliver or replay deliveries: the given GUIDs, or every one the bot has no record of.
+    // mode 'redeliver' asks GitHub to send them again; 'replay' queues GitHub's stored payload
+    // directly. With dryRun nothing is sent and the planned bot actions are returned.
+    async recover(hook = {}, { guids = null, mode = 'redeliver', dryRun = false, limit = 50 } = {}) {
+        if (!['redeliver', 'replay'].includes(mode)) {
+            throw new Error(`Unknown recovery mode: ${mode}`);
+        }
+
+        const { api, params } = await this.getHook(hook);
+        const recent = await this.listRecent(hook, limit);
+        const selected = guids
+            ? recent.filter(delivery => guids.includes(delivery.guid))
+            : recent.filter(delivery => !delivery.known);
+
+        const results = [];
+        for (const delivery of selected) {
+            const result = { guid: delivery.guid, event: delivery.event, action: delivery.action, mode };
+
+            try {
+                if (dryRun) {
+                    const { data: full } = await api.getWebhookDelivery({ ...params, delivery_id: delivery.id });
+                    result.status = 'planned';
+                    result.planned_actions = await this.bot.planEvent(delivery.event, full.request.payload);
+                } else if (mode === 'redeliver') {
+                    // Redeliveries keep their GUID and would be rejected as replays
+                    if (this.verifier) {
+                        await this.verifier.forgetDelivery(delivery.guid);
+                    }
+                    await api.redeliverWebhookDelivery({ ...params, delivery_id: delivery.id });
+                    result.status = 'redelivered';
+                } else {
+                    const { data: full } = await api.getWebhookDelivery({ ...params, delivery_id: delivery.id });
+                    // Payloads fetched from the API are trusted, so they skip signature checks
+                    await this.queue.enqueue({ id: delivery.guid, event: delivery.event, payload: full.request.payload });
+                    result.status = 'queued';
+                }
+            } catch (error) {
+                this.logger.error(`Failed to ${mode} delivery ${delivery.guid}:`, error.message);
+                result.status = 'error';
+                result.error = error.message;
+            }
+
+            results.push(result);
+        }
+
+        return { dry_run: dryRun, mode, deliveries: results };
+    }
+}
+
+export default WebhookDeliveries;
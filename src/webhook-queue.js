@@ -0,0 +1,245 @@
+import { MemoryStore } from './store.js';
+import { isTransientError } from './errors.js';
+
+// Dead-lettered deliveries are kept for two weeks for inspection and replay
+const DEAD_LETTER_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Received delivery ids are logged as long as GitHub keeps delivery history
+const DELIVERY_LOG_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+    concurrency: 2,
+    maxAttempts: 5,
+    baseDelay: 5000,
+    maxDelay: 5 * 60 * 1000
+};
+
+// Durable queue of webhook deliveries. Deliveries are persisted before they are
+// acknowledged, processed with limited concurrency, retried with exponential
+// backoff on transient errors and parked as dead letters when they keep failing.
+class WebhookQueue {
+    constructor(handler, config = {}) {
+        this.handler = handler;
+        // Unset options keep their defaults
+        const options = Object.entries(config.options || {}).filter(([, value]) => value !== undefined);
+        this.options = { ...DEFAULTS, ...Object.fromEntries(options) };
+        this.logger = config.logger || console;
+
+        const store = config.store || new MemoryStore();
+        this.pending = store.collection('webhook-queue');
+        this.deadLetters = store.collection('dead-letters', { ttl: DEAD_LETTER_TTL_MS });
+        this.deliveryLog = store.collection('delivery-log', { ttl: DELIVERY_LOG_TTL_MS });
+
+        this.active = new Set();
+        this.timer = null;
+    }
+
+    // Resume deliveries left over from a previous process
+    async start() {
+        const pending = await this.pending.values();
+        if (pending.length > 0) {
+            this.logger.log(`Resuming ${pending.length} queued webhook deliveries`);
+        }
+        await this.pump();
+        return pending.length;
+    }
+
+    async enqueue({ id, event, payload }) {
+        const delivery = {
+            id,
+            event,
+            payload,
+            attempts: 0,
+            enqueued_at: new Date().toISOString(),
+            next_attempt_at: Date.now(),
+            last_error: null
+        };
+
+        await this.pending.set(id, delivery);
+        await this.logDelivery(delivery, 'queued');
+        this.pump().catch(error => this.logger.error('Webhook queue error:', error));
+        return delivery;
+    }
+
+    // Start as many due deliveries as the concurrency limit allows
+    async pump() {
+        if (this.active.size >= this.options.concurrency) {
+            return;
+        }
+
+        const now = Date.now();
+        const waiting = (await this.pending.values())
+            .filter(delivery => !this.active.has(delivery.id))
+            .sort((a, b) => a.next_attempt_at - b.next_attempt_at);
+
+        // Re-check after the await; another pump may have started deliveries meanwhile
+        for (const delivery of waiting.filter(item => item.next_attempt_at <= now)) {
+            if (this.active.size >= this.options.concurrency) {
+                break;
+            }
+            if (!this.active.has(delivery.id)) {
+                this.active.add(delivery.id);
+                // Store errors leave the delivery queued; it is picked up again after the base
+                // delay or, if the handler already ran, after the backoff of that attempt
+                this.process(delivery).catch(error => {
+                    this.logger.error(`Failed to record the outcome of delivery ${delivery.id}:`, error.message);
+                    this.wakeAt(Date.now() + this.options.baseDelay);
+                });
+            }
+        }
+
+        // Wake up for the next delivery that is backing off
+        const next = waiting.find(delivery => delivery.next_attempt_at > now);
+        if (next) {
+            this.wakeAt(next.next_attempt_at);
+        }
+    }
+
+    wakeAt(time) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.pump().catch(error => this.logger.error('Webhook queue error:', error));
+        }, Math.max(time - Date.now(), 0));
+        this.timer.unref();
+    }
+
+    async process(delivery) {
+        try {
+            // Skip deliveries finished or rescheduled since they were read
+            const current = await this.pending.get(delivery.id);
+            if (!current || current.attempts !== delivery.attempts) {
+                return;
+            }
+
+            // The last attempt ran, but its outcome could not be recorded
+            if (delivery.attempts >= this.options.maxAttempts) {
+                await this.deadLetter(delivery, delivery.last_error || 'Outcome of the last attempt was not recorded', false);
+                return;
+            }
+
+            // Count the attempt before running the handler, so a delivery whose outcome cannot
+            // be recorded is retried with backoff and dead-lettered like a failing one
+            const attempts = delivery.attempts + 1;
+            const started = { ...delivery, attempts, next_attempt_at: Date.now() + this.backoff(attempts) };
+            await this.pending.set(delivery.id, started);
+
+            let failure = null;
+            try {
+                await this.handler(started);
+            } catch (error) {
+                failure = error;
+            }
+
+            if (failure) {
+                await this.fail(started, failure);
+            } else {
+                await this.pending.delete(delivery.id);
+                await this.logDelivery(delivery, 'processed');
+            }
+        } finally {
+            this.active.delete(delivery.id);
+        }
+        this.pump().catch(error => this.logger.error('Webhook queue error:', error));
+    }
+
+    // Retry a failed attempt or park the delivery; delivery.attempts includes this attempt
+    async fail(delivery, error) {
+        const { attempts } = delivery;
+        const transient = isTransientError(error);
+
+        if (transient && attempts < this.options.maxAttempts) {
+            const delay = this.backoff(attempts);
+            this.logger.warn(`Delivery ${delivery.id} (${delivery.event}) failed, retry ${attempts} in ${Math.round(delay / 1000)}s:`, error.message);
+            await this.pending.set(delivery.id, {
+                ...delivery,
+                next_attempt_at: Date.now() + delay,
+                last_error: error.message
+            });
+            await this.logDelivery(delivery, 'retrying');
+            return;
+        }
+
+        await this.deadLetter(delivery, error.message, transient);
+    }
+
+    async deadLetter(delivery, reason, transient) {
+        this.logger.error(`Delivery ${delivery.id} (${delivery.event}) moved to dead letters after ${delivery.attempts} attempts:`, reason);
+        await this.deadLetters.set(delivery.id, {
+            ...delivery,
+            last_error: reason,
+            transient,
+            failed_at: new Date().toISOString()
+        });
+        await this.pending.delete(delivery.id);
+        await this.logDelivery(delivery, 'dead_letter');
+    }
+
+    async logDelivery(delivery, status) {
+        const entry = (await this.deliveryLog.get(delivery.id)) || {
+            id: delivery.id,
+            event: delivery.event,
+            action: delivery.payload && delivery.payload.action,
+            received_at: new Date().toISOString()
+        };
+        await this.deliveryLog.set(delivery.id, { ...entry, status, updated_at: new Date().toISOString() });
+    }
+
+    // What the bot knows about a delivery id, or undefined if it never arrived
+    async getDeliveryRecord(id) {
+        return this.deliveryLog.get(id);
+    }
+
+    // Exponential backoff with up to 20% jitter
+    backoff(attempts) {
+        const delay = Math.min(this.options.baseDelay * 2 ** (attempts - 1), this.options.maxDelay);
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    async stats() {
+        const pending = await this.pending.values();
+        const deadLetters = await this.deadLetters.values();
+        return {
+            pending: pending.length,
+            active: this.active.size,
+            retrying: pending.filter(delivery => delivery.attempts > 0 && !this.active.has(delivery.id)).length,
+            dead_letters: deadLetters.length,
+            concurrency: this.options.concurrency
+        };
+    }
+
+    // Dead letters without their payloads, newest first
+    async listDeadLetters() {
+        const deadLetters = await this.deadLetters.values();
+        return deadLetters
+            .sort((a, b) => b.failed_at.localeCompare(a.failed_at))
+            .map(({ payload, ...delivery }) => ({
+                ...delivery,
+                action: payload && payload.action
+            }));
+    }
+
+    async getDeadLetter(id) {
+        return this.deadLetters.get(id);
+    }
+
+    // Move a dead letter back onto the queue with a fresh attempt count
+    async replayDeadLetter(id) {
+        const delivery = await this.deadLetters.get(id);
+        if (!delivery) {
+            return null;
+        }
+
+        await this.deadLetters.delete(id);
+        return this.enqueue(delivery);
+    }
+
+    async discardDeadLetter(id) {
+        const delivery = await this.deadLetters.get(id);
+        if (delivery) {
+            await this.deadLetters.delete(id);
+        }
+        return Boolean(delivery);
+    }
+}
+
+export default WebhookQueue;
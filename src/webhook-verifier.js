@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { MemoryStore } from './store.js';
+
+// Delivery ids are remembered this long; repeats inside the window are rejected
+const DEFAULT_REPLAY_WINDOW_MS = 60 * 60 * 1000;
+
+// Verifies X-Hub-Signature-256 against the raw request body and rejects
+// replayed X-GitHub-Delivery ids. Several secrets may be active while one is rotated.
+class WebhookVerifier {
+    constructor(config = {}) {
+        this.secrets = (config.secrets || []).filter(Boolean);
+        this.replayWindow = config.replayWindow || DEFAULT_REPLAY_WINDOW_MS;
+        this.deliveries = (config.store || new MemoryStore()).collection('deliveries', {
+            ttl: this.replayWindow
+        });
+    }
+
+    // True when the signature matches the body under any configured secret
+    verifySignature(rawBody, signature) {
+        if (!rawBody || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+            return false;
+        }
+
+        const received = Buffer.from(signature);
+        return this.secrets.some(secret => {
+            const expected = Buffer.from(`sha256=${crypto
+                .createHmac('sha256', secret)
+                .update(rawBody)
+                .digest('hex')}`);
+
+            // timingSafeEqual throws on buffers of different lengths
+            return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+        });
+    }
+
+    // Record a delivery id once it has been queued; until then GitHub's redeliveries,
+    // which reuse the id, are accepted
+    async registerDelivery(deliveryId) {
+        await this.deliveries.set(deliveryId, { received_at: new Date().toISOString() });
+    }
+
+    // Accept a delivery id again, e.g. before asking GitHub to redeliver it
+    async forgetDelivery(deliveryId) {
+        await this.deliveries.delete(deliveryId);
+    }
+
+    // Check a webhook request; returns null when valid, otherwise { status, error }
+    async verify(req) {
+        if (this.secrets.length === 0) {
+            return { status: 401, error: 'Webhook secret not configured' };
+        }
+
+        if (!this.verifySignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+            return { status: 401, error: 'Invalid signature' };
+        }
+
+        const deliveryId = req.headers['x-github-delivery'];
+        if (!deliveryId) {
+            return { status: 400, error: 'Missing X-GitHub-Delivery header' };
+        }
+
+        if (await this.deliveries.has(deliveryId)) {
+            return { status: 409, error: `Delivery ${deliveryId} was already queued` };
+        }
+
+        return null;
+    }
+}
+
+export default WebhookVerifier;
@@ -0,0 +1,72 @@
+import { parse } from 'yaml';
+
+// Read the workflow_dispatch.inputs declaration from a workflow file.
+// Returns null when the workflow cannot be dispatched manually.
+function parseDispatchInputs(workflowYaml) {
+    const workflow = parse(workflowYaml) || {};
+    const triggers = workflow.on;
+
+    if (triggers === 'workflow_dispatch') {
+        return {};
+    }
+    if (Array.isArray(triggers)) {
+        return triggers.includes('workflow_dispatch') ? {} : null;
+    }
+    if (!triggers || typeof triggers !== 'object' || !('workflow_dispatch' in triggers)) {
+        return null;
+    }
+
+    return (triggers.workflow_dispatch && triggers.workflow_dispatch.inputs) || {};
+}
+
+// Check dispatch inputs against the workflow's declaration and an optional allow-list.
+// Returns { inputs, errors } with values converted to the strings the API expects.
+function validateDispatchInputs(declared, inputs = {}, allowedInputs = null) {
+    const errors = [];
+    const validated = {};
+
+    for (const [name, value] of Object.entries(inputs)) {
+        const spec = declared[name] || {};
+        if (!(name in declared)) {
+            errors.push(`Unknown input "${name}"`);
+            continue;
+        }
+        if (allowedInputs && !allowedInputs.includes(name)) {
+            errors.push(`Input "${name}" is not allowed for this repository`);
+            continue;
+        }
+
+        const text = String(value);
+        switch (spec.type) {
+            case 'boolean':
+                if (text !== 'true' && text !== 'false') {
+                    errors.push(`Input "${name}" must be true or false`);
+                }
+                break;
+            case 'number':
+                if (text.trim() === '' || Number.isNaN(Number(text))) {
+                    errors.push(`Input "${name}" must be a number`);
+                }
+                break;
+            case 'choice':
+                if (!(spec.options || []).map(String).includes(text)) {
+                    errors.push(`Input "${name}" must be one of: ${(spec.options || []).join(', ')}`);
+                }
+                break;
+            default:
+                break;
+        }
+        validated[name] = text;
+    }
+
+    for (const [name, spec] of Object.entries(declared)) {
+        const missing = !(name in validated) && !(name in inputs);
+        if (spec && spec.required && spec.default === undefined && missing) {
+            errors.push(`Missing required input "${name}"`);
+        }
+    }
+
+    return { inputs: validated, errors };
+}
+
+export { parseDispatchInputs, validateDispatchInputs };
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ChatInterface from '../src/chat-interface.js';
+import { TOKEN_PATTERN } from '../src/pending-actions.js';
+import { MemoryStore } from '../src/store.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Returns copies like a backend that serializes its records
+class CopyingStore extends MemoryStore {
+    async read(namespace, key) {
+        const record = await super.read(namespace, key);
+        return record && structuredClone(record);
+    }
+}
+
+// Bot whose reruns take a moment, so concurrent confirmations overlap
+function fakeBot() {
+    const reruns = [];
+    return {
+        reruns,
+        getWorkflowRun: async (owner, repo, runId) => ({ id: runId, name: 'CI', conclusion: 'failure' }),
+        rerunWorkflow: async (owner, repo, runId, options) => {
+            reruns.push({ owner, repo, runId, options });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return { previous_attempt: 1, attempt: 2, message: 'Rerun requested' };
+        }
+    };
+}
+
+async function requestRerun(chat, message = 'rerun run 123456 in octo/app') {
+    const response = await chat.handleMessage(message, 'user');
+    return response.match(TOKEN_PATTERN)[1];
+}
+
+describe('ChatInterface confirmations', () => {
+    it('runs a rerun once it is confirmed', async () => {
+        const bot = fakeBot();
+        const chat = new ChatInterface(bot, null, { logger: quiet });
+        const token = await requestRerun(chat, 'rerun failed jobs of run 123456 in octo/app');
+
+        assert.equal(bot.reruns.length, 0);
+        assert.match(await chat.handleMessage(`confirm ${token}`, 'user'), /Rerun started/);
+        assert.deepEqual(bot.reruns.map(rerun => [rerun.runId, rerun.options.failedOnly]), [[123456, true]]);
+    });
+
+    it('runs an action once when it is confirmed twice at the same time', async () => {
+        const bot = fakeBot();
+        const chat = new ChatInterface(bot, null, { store: new CopyingStore(), logger: quiet });
+        const token = await requestRerun(chat);
+
+        const responses = await Promise.all([
+            chat.handleMessage(`confirm ${token}`, 'user'),
+            chat.handleMessage(`confirm ${token}`, 'user')
+        ]);
+
+        assert.equal(bot.reruns.length, 1);
+        assert.match(responses[0], /Rerun started/);
+        assert.match(responses[1], /was already confirmed/);
+    });
+
+    it('does not run cancelled actions', async () => {
+        const bot = fakeBot();
+        const chat = new ChatInterface(bot, null, { logger: quiet });
+        const token = await requestRerun(chat);
+
+        assert.match(await chat.handleMessage(`cancel ${token}`, 'user'), /^Cancelled rerun of CI run 123456/);
+        assert.match(await chat.handleMessage(`confirm ${token}`, 'user'), /was already cancelled/);
+        assert.equal(bot.reruns.length, 0);
+    });
+
+    it('keeps the actions of each session apart', async () => {
+        const bot = fakeBot();
+        const chat = new ChatInterface(bot, null, { logger: quiet });
+        const token = await requestRerun(chat);
+
+        assert.match(await chat.handleMessage(`confirm ${token}`, 'someone-else'), /no pending action/);
+        assert.equal(bot.reruns.length, 0);
+    });
+
+    it('asks authorize before confirming', async () => {
+        const bot = fakeBot();
+        const chat = new ChatInterface(bot, null, { logger: quiet });
+        const token = await requestRerun(chat);
+
+        const response = await chat.handleMessage(`confirm ${token}`, 'user', { authorize: async () => '🔒 no' });
+        assert.equal(response, '🔒 no');
+        assert.equal(bot.reruns.length, 0);
+    });
+});
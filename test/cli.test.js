@@ -0,0 +1,156 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import Cli, { EmbeddedClient, RemoteClient } from '../src/cli.js';
+
+function output() {
+    return {
+        text: '',
+        isTTY: false,
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+function cli(client, env = {}) {
+    const instance = new Cli({ out: output(), err: output(), env });
+    instance.createClient = () => client;
+    return instance;
+}
+
+const workflows = {
+    repository: 'octo/app',
+    workflows: [
+        {
+            workflow_name: 'CI',
+            workflow_path: '.github/workflows/ci.yml',
+            recent_runs: [{
+                id: 7023451234,
+                status: 'completed',
+                conclusion: 'failure',
+                head_branch: 'main',
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString(),
+                html_url: 'https://github.com/octo/app/actions/runs/7023451234'
+            }]
+        },
+        { workflow_name: 'Release', workflow_path: '.github/workflows/release.yml', recent_runs: [] }
+    ],
+    active_jobs: []
+};
+
+describe('Cli', () => {
+    it('prints the usage for --help and rejects unknown options', async () => {
+        const help = cli(null);
+        assert.equal(await help.run(['--help']), 0);
+        assert.match(help.out.text, /^Usage: ci-bot/);
+
+        const invalid = cli(null);
+        assert.equal(await invalid.run(['status', '--nope']), 2);
+        assert.match(invalid.err.text, /Usage: ci-bot/);
+    });
+
+    it('prints the latest run of the selected workflows', async () => {
+        const calls = [];
+        const client = { getWorkflows: async (owner, repo) => calls.push([owner, repo]) && workflows };
+        const status = cli(client);
+
+        assert.equal(await status.run(['status', 'octo/app', '--workflow', 'ci.yml']), 0);
+        assert.deepEqual(calls, [['octo', 'app']]);
+        assert.match(status.out.text, /Status for octo\/app \(ci\.yml\)/);
+        assert.match(status.out.text, /CI +❌ failure +main/);
+        assert.doesNotMatch(status.out.text, /Release/);
+    });
+
+    it('prints JSON with --json', async () => {
+        const history = cli({ getWorkflows: async () => workflows });
+
+        assert.equal(await history.run(['history', 'octo/app', '--json']), 0);
+        assert.deepEqual(JSON.parse(history.out.text).workflows.map(workflow => workflow.workflow_name), ['CI', 'Release']);
+    });
+
+    it('analyzes the most recent failed run when no run is given', async () => {
+        const analyses = [];
+        const client = {
+            getWorkflows: async () => workflows,
+            analyzeRun: async (owner, repo, runId, options) => {
+                analyses.push([owner, repo, runId, options.fresh]);
+                return {
+                    run: { id: runId, name: 'CI', head_branch: 'main', attempt: 1, html_url: 'https://x.test' },
+                    analysis: { root_cause: 'Missing dependency', confidence: 8, is_minor: true, fixes: ['npm ci'], commands: [] },
+                    fingerprint: 'abc',
+                    occurrences: { count: 1 }
+                };
+            }
+        };
+        const analyze = cli(client);
+
+        assert.equal(await analyze.run(['analyze', 'octo/app', '--fresh']), 0);
+        assert.deepEqual(analyses, [['octo', 'app', 7023451234, true]]);
+        assert.match(analyze.out.text, /Root cause: +Missing dependency/);
+        assert.match(analyze.err.text, /Analyzing run 7023451234/);
+    });
+
+    it('prints chat answers with their replies and progress on stderr', async () => {
+        const client = {
+            chat: async (message, userId, onEvent) => {
+                onEvent({ type: 'progress', message: 'Fetching runs' });
+                onEvent({ type: 'action', label: 'Rerun', command: 'confirm KQT482' });
+                return `**Confirm** rerun of ${message}`;
+            }
+        };
+        const chat = cli(client);
+
+        assert.equal(await chat.run(['chat', 'rerun', 'octo/app']), 0);
+        assert.equal(chat.out.text, 'Confirm rerun of rerun octo/app\n\n[Rerun] confirm KQT482\n');
+        assert.equal(chat.err.text, '⏳ Fetching runs...\n');
+    });
+
+    it('exits with 1 and the server\'s error details when a request fails', async () => {
+        const error = Object.assign(new Error('Request failed with status code 401'), {
+            response: { data: { error: 'Unauthorized' } }
+        });
+        const status = cli({ getWorkflows: async () => { throw error; } });
+
+        assert.equal(await status.run(['status', 'octo/app']), 1);
+        assert.equal(status.err.text, '❌ Unauthorized\n');
+    });
+
+    it('sets up no LLM provider for an embedded bot until one is needed', () => {
+        const client = new EmbeddedClient({ GITHUB_TOKEN: 'token' }, { log() {}, info() {}, warn() {}, error() {} });
+        assert.equal(client.bot.resolver, null);
+    });
+});
+
+describe('RemoteClient', () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write(': keepalive\n\n');
+            res.write('event: progress\ndata: {"type":"progress","message":"Fetching runs"}\n\n');
+            res.end('event: response\ndata: {"type":"response","response":"All green"}\n\n');
+        });
+    });
+    after(() => server.close());
+
+    it('streams chat answers with the admin token', async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const client = new RemoteClient(`http://127.0.0.1:${server.address().port}/`, 'secret');
+        const events = [];
+
+        assert.equal(await client.chat('status of octo/app', 'cli:me', event => events.push(event.type)), 'All green');
+        assert.deepEqual(events, ['progress', 'response']);
+        assert.deepEqual(requests, [{
+            url: '/chat/stream',
+            authorization: 'Bearer secret',
+            body: { message: 'status of octo/app', userId: 'cli:me' }
+        }]);
+    });
+});
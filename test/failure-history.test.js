@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import FailureHistory, { computeFingerprint, normalizeErrorLine } from '../src/failure-history.js';
+import { MemoryStore } from '../src/store.js';
+
+const STEP = '### Job: build / Step: Run tests';
+
+describe('normalizeErrorLine', () => {
+    it('masks timestamps, ids, paths, hashes and numbers', () => {
+        const line = normalizeErrorLine(
+            '2024-05-01T10:11:12.123Z Error: /home/runner/work/app/src/index.js:42 failed for ' +
+            '3f2b1c9d-aaaa-bbbb-cccc-0123456789ab at commit deadbeef1234 after 3.5 s'
+        );
+        assert.equal(line, '<ts> Error: <path>:<n> failed for <uuid> at commit <hash> after <n> s');
+    });
+});
+
+describe('computeFingerprint', () => {
+    it('is stable across runs that differ only in volatile details', () => {
+        const first = `${STEP}\n2024-05-01T10:00:00Z Error: 404 for ./packages/a after 12 ms\nfetch done`;
+        const second = `${STEP}\n2024-06-02T11:30:00Z Error: 404 for ./packages/b after 340 ms\nfetch done in 2 s`;
+        assert.equal(computeFingerprint(first), computeFingerprint(second));
+    });
+
+    it('tells different errors in the same step apart', () => {
+        const first = `${STEP}\nError: Cannot find module 'express'`;
+        const second = `${STEP}\nTypeError: undefined is not a function`;
+        assert.notEqual(computeFingerprint(first), computeFingerprint(second));
+    });
+
+    it('tells the same error in different steps apart', () => {
+        const error = 'Error: Cannot find module \'express\'';
+        assert.notEqual(
+            computeFingerprint(`${STEP}\n${error}`),
+            computeFingerprint(`### Job: lint / Step: Run lint\n${error}`)
+        );
+    });
+
+    it('fingerprints steps without error lines by the tail of their log', () => {
+        const tail = Array.from({ length: 10 }, (_, index) => `> jest shard ${String.fromCharCode(97 + index)}`).join('\n');
+        const first = `${STEP}\nnpm test\nTests: 3 passed, 1 skipped\nProcess completed with exit code 1.`;
+        const second = `${STEP}\nnpm test\nKilled: out of memory\nProcess completed with exit code 137.`;
+
+        assert.notEqual(computeFingerprint(first), computeFingerprint(second));
+        assert.equal(
+            computeFingerprint(`${STEP}\nnpm ci\n${tail}`),
+            computeFingerprint(`${STEP}\nyarn install\n${tail}`)
+        );
+    });
+
+    it('returns a 16 character hex hash, also for empty logs', () => {
+        assert.match(computeFingerprint(`${STEP}\nError: boom`), /^[0-9a-f]{16}$/);
+        assert.match(computeFingerprint(''), /^[0-9a-f]{16}$/);
+        assert.equal(computeFingerprint(null), computeFingerprint(''));
+    });
+});
+
+describe('FailureHistory', () => {
+    it('counts each run once and keeps the first valid analysis', async () => {
+        const history = new FailureHistory(new MemoryStore());
+        const analysis = { root_cause: 'Missing module', confidence: 8 };
+
+        await history.record('o/r', 'abc', { runId: 1, workflow: 'CI', analysis });
+        await history.record('o/r', 'abc', { runId: 1, workflow: 'CI', analysis });
+        const entry = await history.record('o/r', 'abc', {
+            runId: 2,
+            workflow: 'CI',
+            analysis: { root_cause: 'Failed to analyze logs with AI', failure_reason: 'timeout' }
+        });
+
+        assert.equal(entry.count, 2);
+        assert.deepEqual(entry.run_ids, [1, 2]);
+        assert.deepEqual(entry.analysis, analysis);
+        assert.deepEqual((await history.lookup('o/r', 'abc')).analysis, analysis);
+        assert.equal(await history.lookup('o/other', 'abc'), undefined);
+    });
+
+    it('lists the fingerprints of a repository, most frequent first', async () => {
+        const history = new FailureHistory(new MemoryStore());
+        await history.record('o/r', 'rare', { runId: 1 });
+        await history.record('o/r', 'common', { runId: 2 });
+        await history.record('o/r', 'common', { runId: 3 });
+        await history.record('o/other', 'common', { runId: 4 });
+
+        assert.deepEqual((await history.list('o/r')).map(entry => entry.fingerprint), ['common', 'rare']);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import FailureReporter from '../src/failure-reporter.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Octokit with the comment endpoints the reporter uses, backed by arrays
+function fakeGitHub() {
+    const calls = [];
+    const commitComments = [];
+    const issueComments = [];
+    let nextId = 1;
+
+    const octokit = {
+        paginate: async (method, params) => method(params),
+        checks: { create: async params => calls.push(['checks.create', params.head_sha]) },
+        repos: {
+            listCommentsForCommit: async ({ commit_sha: sha }) => commitComments.filter(comment => comment.sha === sha),
+            createCommitComment: async ({ commit_sha: sha, body }) => {
+                calls.push(['createCommitComment', sha]);
+                commitComments.push({ id: nextId++, sha, body });
+            },
+            updateCommitComment: async ({ comment_id: id, body }) => {
+                calls.push(['updateCommitComment', id]);
+                commitComments.find(comment => comment.id === id).body = body;
+            },
+            listPullRequestsAssociatedWithCommit: async () => ({ data: [] })
+        },
+        issues: {
+            listComments: async ({ issue_number: number }) => issueComments.filter(comment => comment.number === number),
+            createComment: async ({ issue_number: number, body }) => {
+                calls.push(['createComment', number]);
+                issueComments.push({ id: nextId++, number, body });
+            },
+            updateComment: async ({ comment_id: id, body }) => {
+                calls.push(['updateComment', id]);
+                issueComments.find(comment => comment.id === id).body = body;
+            }
+        }
+    };
+
+    return { calls, commitComments, issueComments, getOctokit: async () => octokit };
+}
+
+function run(overrides = {}) {
+    return {
+        id: 1,
+        name: 'CI',
+        workflow_id: 10,
+        head_sha: 'abc1234def',
+        html_url: 'https://github.com/octo/app/actions/runs/1',
+        event: 'push',
+        pull_requests: [],
+        ...overrides
+    };
+}
+
+const analysis = { root_cause: 'Missing dependency', confidence: 8, fixes: [] };
+
+function outcome(attempt) {
+    return { message: 'Reported', pull_requests: [], attempt };
+}
+
+describe('FailureReporter.report', () => {
+    it('edits the commit comment of a workflow when the commit fails again', async () => {
+        const github = fakeGitHub();
+        const reporter = new FailureReporter(github, { logger: quiet });
+
+        await reporter.report('octo', 'app', run(), analysis, outcome(1));
+        await reporter.report('octo', 'app', run({ id: 2 }), analysis, outcome(2));
+        await reporter.report('octo', 'app', run({ id: 3, workflow_id: 11, name: 'Lint' }), analysis, outcome(1));
+
+        assert.deepEqual(github.calls.filter(([name]) => name !== 'checks.create'), [
+            ['createCommitComment', 'abc1234def'],
+            ['updateCommitComment', 1],
+            ['createCommitComment', 'abc1234def']
+        ]);
+        assert.equal(github.commitComments.length, 2);
+        assert.match(github.commitComments[0].body, /attempt 2<\/sub>/);
+    });
+
+    it('keeps one sticky comment per workflow on pull requests', async () => {
+        const github = fakeGitHub();
+        const reporter = new FailureReporter(github, { logger: quiet });
+        const pullRequestRun = overrides => run({ event: 'pull_request', pull_requests: [{ number: 7 }], ...overrides });
+
+        await reporter.report('octo', 'app', pullRequestRun(), analysis, outcome(1));
+        await reporter.report('octo', 'app', pullRequestRun({ id: 2 }), analysis, outcome(2));
+        await reporter.reportResolved('octo', 'app', pullRequestRun({ id: 3, head_sha: 'fff0000aaa' }));
+
+        assert.deepEqual(github.calls.filter(([name]) => name !== 'checks.create'), [
+            ['createComment', 7],
+            ['updateComment', 1],
+            ['updateComment', 1]
+        ]);
+        assert.match(github.issueComments[0].body, /is passing again/);
+    });
+});
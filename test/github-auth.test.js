@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import GitHubAuth, { loadAppPrivateKey } from '../src/github-auth.js';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+// App whose API calls are answered by the given handlers and counted
+function app(handlers = {}) {
+    const auth = new GitHubAuth({ appId: 42, privateKey: privateKeyPem });
+    auth.calls = [];
+    auth.getAppOctokit = () => ({
+        apps: {
+            createInstallationAccessToken: async params => {
+                auth.calls.push(['createInstallationAccessToken', params.installation_id]);
+                return handlers.createInstallationAccessToken(params, auth.calls.length);
+            },
+            getRepoInstallation: async params => {
+                auth.calls.push(['getRepoInstallation', `${params.owner}/${params.repo}`]);
+                return handlers.getRepoInstallation(params);
+            }
+        }
+    });
+    return auth;
+}
+
+function tokenResponse(token, minutes = 60) {
+    return { data: { token, expires_at: new Date(Date.now() + minutes * 60 * 1000).toISOString() } };
+}
+
+describe('GitHubAuth', () => {
+    it('shares one client and the token in token mode', async () => {
+        const auth = new GitHubAuth({ token: 'pat' });
+        assert.equal(auth.isApp, false);
+        assert.equal(await auth.getToken('octo', 'app'), 'pat');
+        assert.equal(await auth.getOctokit('octo', 'app'), await auth.getOctokit('other', 'repo'));
+    });
+
+    it('signs app JWTs that GitHub accepts for at most 10 minutes', () => {
+        const [header, payload, signature] = new GitHubAuth({ appId: 42, privateKey: privateKeyPem }).createAppJwt().split('.');
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+        assert.equal(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url')), true);
+        assert.equal(claims.iss, '42');
+        assert.ok(claims.exp - claims.iat <= 10 * 60);
+    });
+
+    it('mints an installation token once for concurrent callers and reuses it', async () => {
+        const auth = app({ createInstallationAccessToken: async (params, count) => tokenResponse(`token-${count}`) });
+
+        const tokens = await Promise.all([auth.getInstallationToken(1), auth.getInstallationToken(1)]);
+        assert.deepEqual(tokens, ['token-1', 'token-1']);
+        assert.equal(await auth.getInstallationToken(1), 'token-1');
+        assert.equal(auth.calls.length, 1);
+    });
+
+    it('mints a new token shortly before the cached one expires', async () => {
+        const auth = app({ createInstallationAccessToken: async (params, count) => tokenResponse(`token-${count}`, 4) });
+
+        assert.equal(await auth.getInstallationToken(1), 'token-1');
+        assert.equal(await auth.getInstallationToken(1), 'token-2');
+    });
+
+    it('does not cache failed mints', async () => {
+        const auth = app({
+            createInstallationAccessToken: async (params, count) => {
+                if (count === 1) {
+                    throw Object.assign(new Error('Bad Gateway'), { status: 502 });
+                }
+                return tokenResponse('token');
+            }
+        });
+
+        await assert.rejects(auth.getInstallationToken(1), { status: 502 });
+        assert.equal(await auth.getInstallationToken(1), 'token');
+    });
+
+    it('looks up the installation of a repository once', async () => {
+        const auth = app({
+            getRepoInstallation: async ({ repo }) => {
+                if (repo === 'private') {
+                    throw Object.assign(new Error('Not Found'), { status: 404 });
+                }
+                return { data: { id: 7 } };
+            },
+            createInstallationAccessToken: async () => tokenResponse('token')
+        });
+
+        assert.equal(await auth.getToken('octo', 'app'), 'token');
+        assert.equal(await auth.getInstallationId('octo', 'app'), 7);
+        assert.deepEqual(auth.calls, [['getRepoInstallation', 'octo/app'], ['createInstallationAccessToken', 7]]);
+        await assert.rejects(auth.getInstallationId('octo', 'private'), /not installed on octo\/private/);
+    });
+
+    it('forgets the repositories and token of a removed installation', async () => {
+        const auth = app({ createInstallationAccessToken: async (params, count) => tokenResponse(`token-${count}`) });
+        await auth.addRepositories(7, [{ full_name: 'octo/app' }, { full_name: 'octo/lib' }]);
+        await auth.addRepositories(8, [{ full_name: 'other/app' }]);
+        await auth.getInstallationToken(7);
+
+        await auth.removeInstallation(7);
+        assert.deepEqual((await auth.listRepositories()).map(entry => entry.repository), ['other/app']);
+        assert.equal(await auth.getInstallationToken(7), 'token-2');
+    });
+});
+
+describe('loadAppPrivateKey', () => {
+    it('reads keys with escaped newlines from the environment', () => {
+        assert.equal(loadAppPrivateKey({ GITHUB_APP_PRIVATE_KEY: 'line1\\nline2' }), 'line1\nline2');
+        assert.equal(loadAppPrivateKey({}), null);
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import IntentParser, { extractEntities, parseTimeRange, scoreIntents } from '../src/intent-parser.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+describe('extractEntities', () => {
+    it('reads the repository and run id from a run link', () => {
+        const entities = extractEntities('why did https://github.com/octo/app/actions/runs/7023451234/job/1 fail?');
+        assert.deepEqual(entities.repository, { owner: 'octo', name: 'app' });
+        assert.equal(entities.runId, 7023451234);
+    });
+
+    it('tells a branch with a slash from the repository', () => {
+        const entities = extractEntities('show runs on feature/login in octo/app');
+        assert.deepEqual(entities.repository, { owner: 'octo', name: 'app' });
+        assert.equal(entities.branch, 'feature/login');
+    });
+
+    it('only takes "on <word>" as a branch for branch-like names', () => {
+        assert.equal(extractEntities('status of octo/app on main').branch, 'main');
+        assert.equal(extractEntities('status of octo/app on release-1.2').branch, 'release-1.2');
+        assert.equal(extractEntities('status of octo/app on friday').branch, null);
+    });
+
+    it('reads workflows, artifacts, jobs and rerun options', () => {
+        const entities = extractEntities('rerun failed jobs of release.yml in octo/app with debug');
+        assert.equal(entities.workflow, 'release.yml');
+        assert.equal(entities.failedOnly, true);
+        assert.equal(entities.debug, true);
+
+        assert.equal(extractEntities('deploy octo/app artifact build-42').artifactId, 'build-42');
+        assert.equal(extractEntities('release v1.2.3 of octo/app').artifactId, 'v1.2.3');
+        assert.equal(extractEntities('rerun job "test (18.x)" of run 123 in octo/app').job, 'test (18.x)');
+        assert.equal(extractEntities('rerun job "test (18.x)" of run 123 in octo/app').runId, 123);
+    });
+
+    it('reads reruns of only the failed jobs', () => {
+        for (const message of [
+            'rerun failed',
+            'rerun failed in octo/app',
+            'rerun the failed ones',
+            'retry the failed job of run 123456',
+            'rerun only the failed jobs',
+            'rerun run 123456, failed only'
+        ]) {
+            assert.equal(extractEntities(message).failedOnly, true, message);
+        }
+        for (const message of ['rerun the failed run 123456', 'rerun failed build of octo/app', 'rerun octo/app']) {
+            assert.equal(extractEntities(message).failedOnly, false, message);
+        }
+    });
+
+    it('reads time ranges', () => {
+        const { timeRange } = extractEntities('history of octo/app for the last 3 days');
+        assert.equal(timeRange.label, 'last 3 days');
+    });
+});
+
+describe('parseTimeRange', () => {
+    const now = new Date('2024-05-10T12:00:00Z');
+
+    it('reads relative ranges', () => {
+        assert.equal(parseTimeRange('last 2 hours', now).since, '2024-05-10T10:00:00.000Z');
+        assert.equal(parseTimeRange('past week', now).since, '2024-05-03T12:00:00.000Z');
+    });
+
+    it('reads dates', () => {
+        assert.deepEqual(parseTimeRange('since 2024-05-01', now), {
+            since: '2024-05-01T00:00:00.000Z',
+            until: null,
+            label: 'since 2024-05-01',
+            text: 'since 2024-05-01'
+        });
+    });
+
+    it('bounds yesterday on both sides', () => {
+        const range = parseTimeRange('yesterday', now);
+        assert.equal(Date.parse(range.until) - Date.parse(range.since), 24 * 60 * 60 * 1000);
+    });
+
+    it('returns null without a time range', () => {
+        assert.equal(parseTimeRange('status of octo/app', now), null);
+        assert.equal(parseTimeRange('since forever', now), null);
+    });
+});
+
+describe('scoreIntents', () => {
+    it('ranks matching intents best first', () => {
+        const [best] = scoreIntents('what is the status of octo/app');
+        assert.equal(best.type, 'status_check');
+        assert.deepEqual(scoreIntents('good morning'), []);
+    });
+});
+
+describe('IntentParser', () => {
+    it('parses commands with the rules', async () => {
+        const intent = await new IntentParser().parse('rerun run 123456 in octo/app');
+        assert.equal(intent.type, 'rerun_workflow');
+        assert.equal(intent.source, 'rules');
+        assert.equal(intent.runId, 123456);
+        assert.equal(intent.clarification, null);
+    });
+
+    it('parses the "rerun failed" slash command as a rerun of the failed jobs', async () => {
+        const intent = await new IntentParser().parse('rerun failed');
+        assert.equal(intent.type, 'rerun_workflow');
+        assert.equal(intent.failedOnly, true);
+    });
+
+    it('reads confirmations and cancellations with their token', async () => {
+        const parser = new IntentParser();
+        assert.deepEqual(
+            (({ type, token }) => ({ type, token }))(await parser.parse('confirm kqt482')),
+            { type: 'confirm', token: 'KQT482' }
+        );
+        assert.equal((await parser.parse('cancel all')).token, 'ALL');
+        assert.equal((await parser.parse('yes')).token, null);
+    });
+
+    it('asks which intent was meant when mutating intents are close', async () => {
+        const intent = await new IntentParser().parse('restart the status check of octo/app');
+        assert.match(intent.clarification, /^Do you want to .* for octo\/app\?$/);
+        assert.deepEqual([...intent.candidates].sort(), ['rerun_workflow', 'status_check']);
+    });
+
+    it('treats unknown messages as conversation', async () => {
+        const intent = await new IntentParser().parse('hello there');
+        assert.equal(intent.type, 'conversation');
+        assert.equal(intent.confidence, 0);
+    });
+
+    it('asks the LLM when the rules are unsure and keeps the rules\' entities', async () => {
+        const llm = {
+            name: 'fake',
+            complete: async () => '```json\n{"type": "pipeline_history", "confidence": 0.8, "repository": "other/repo", "branch": "dev"}\n```'
+        };
+        const intent = await new IntentParser({ llm, logger: quiet }).parse('anything odd lately in octo/app?');
+
+        assert.equal(intent.type, 'pipeline_history');
+        assert.equal(intent.source, 'llm');
+        assert.deepEqual(intent.repository, { owner: 'octo', name: 'app' });
+        assert.equal(intent.branch, 'dev');
+    });
+
+    it('keeps the rules\' intent when the LLM reply is invalid', async () => {
+        const llm = { name: 'fake', complete: async () => '{"type": "launch_rocket", "confidence": 2}' };
+        const intent = await new IntentParser({ llm, logger: quiet }).parse('hello there');
+
+        assert.equal(intent.type, 'conversation');
+        assert.equal(intent.source, 'rules');
+    });
+});
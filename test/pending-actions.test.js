@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PendingActions, { TOKEN_PATTERN } from '../src/pending-actions.js';
+
+function session() {
+    return { id: 'user', context: {} };
+}
+
+const release = { type: 'release', key: 'release:octo/app', description: 'release of octo/app', params: {} };
+
+describe('PendingActions', () => {
+    it('creates actions with readable tokens', () => {
+        const actions = new PendingActions();
+        const action = actions.create(session(), release);
+
+        assert.match(action.token, TOKEN_PATTERN);
+        assert.equal(action.status, 'pending');
+    });
+
+    it('closes an action once', () => {
+        const actions = new PendingActions();
+        const current = session();
+        const { token } = actions.create(current, release);
+
+        assert.equal(actions.close(current, token.toLowerCase(), 'confirmed').action.token, token);
+        assert.match(actions.close(current, token, 'confirmed').error, /was already confirmed/);
+        assert.match(actions.close(current, token, 'cancelled').error, /was already confirmed/);
+        assert.deepEqual(actions.list(current), []);
+    });
+
+    it('points superseded actions at their replacement', () => {
+        const actions = new PendingActions();
+        const current = session();
+        const first = actions.create(current, release);
+        const second = actions.create(current, release);
+
+        assert.match(actions.close(current, first.token, 'confirmed').error, new RegExp(`replaced by ${second.token}`));
+        assert.deepEqual(actions.list(current).map(action => action.token), [second.token]);
+    });
+
+    it('refuses expired actions', () => {
+        const actions = new PendingActions({ ttl: 1 });
+        const current = session();
+        const { token } = actions.create(current, release);
+        current.context.pendingActions[token].expires_at = new Date(Date.now() - 1000).toISOString();
+
+        assert.match(actions.close(current, token, 'confirmed').error, /expired/);
+        assert.match(actions.close(current, token, 'confirmed').error, /was already expired/);
+    });
+
+    it('reports unknown tokens', () => {
+        assert.match(new PendingActions().close(session(), 'ABC123', 'confirmed').error, /no pending action ABC123/);
+    });
+});
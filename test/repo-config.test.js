@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RepoConfigLoader, {
+    DEFAULT_REPO_CONFIG,
+    isWatchedWorkflow,
+    matchesBranch,
+    mergeConfig,
+    parseRepoConfig
+} from '../src/repo-config.js';
+import { MemoryStore } from '../src/store.js';
+
+describe('parseRepoConfig', () => {
+    it('accepts a valid file', () => {
+        const { config, errors } = parseRepoConfig(`
+release:
+  branches: [main, release/*]
+failures:
+  policy: auto_fix
+  auto_fix_min_confidence: 8
+  ignore_workflows: [nightly.yml]
+`);
+        assert.deepEqual(errors, []);
+        assert.equal(config.failures.auto_fix_min_confidence, 8);
+    });
+
+    it('treats an empty file as no settings', () => {
+        assert.deepEqual(parseRepoConfig(''), { config: {}, errors: [] });
+    });
+
+    it('reports unknown keys and invalid values', () => {
+        const { config, errors } = parseRepoConfig(`
+releases:
+  branches: [main]
+failures:
+  policy: always
+  auto_fix_min_confidence: 11
+`);
+        assert.deepEqual(config, {});
+        assert.equal(errors.length, 3);
+        assert.ok(errors.includes('/ must NOT have additional properties'));
+        assert.ok(errors.some(error => error.startsWith('/failures/policy')));
+        assert.ok(errors.includes('/failures/auto_fix_min_confidence must be <= 10'));
+    });
+
+    it('reports invalid YAML', () => {
+        const { errors } = parseRepoConfig('release: [main');
+        assert.match(errors[0], /^Invalid YAML: /);
+    });
+});
+
+describe('mergeConfig', () => {
+    it('lets later layers win per setting', () => {
+        const merged = mergeConfig(
+            { failures: { policy: 'notify', rerun_jobs: 'failed' } },
+            { failures: { policy: 'auto_fix' } },
+            undefined
+        );
+
+        assert.equal(merged.failures.policy, 'auto_fix');
+        assert.equal(merged.failures.rerun_jobs, 'failed');
+        assert.equal(merged.failures.auto_fix_min_confidence, 7);
+        assert.deepEqual(merged.release, DEFAULT_REPO_CONFIG.release);
+    });
+});
+
+describe('matchesBranch', () => {
+    it('matches exact names and * wildcards', () => {
+        assert.equal(matchesBranch(['main'], 'main'), true);
+        assert.equal(matchesBranch(['release/*'], 'release/1.2'), true);
+        assert.equal(matchesBranch(['release/*'], 'hotfix/1.2'), false);
+        assert.equal(matchesBranch(['v1.0'], 'v1x0'), false);
+    });
+});
+
+describe('isWatchedWorkflow', () => {
+    const run = { name: 'CI', path: '.github/workflows/ci.yml' };
+
+    it('watches every workflow by default', () => {
+        assert.equal(isWatchedWorkflow(mergeConfig(), run), true);
+    });
+
+    it('matches workflows by name, file name or path', () => {
+        for (const name of ['CI', 'ci.yml', '.github/workflows/ci.yml']) {
+            assert.equal(isWatchedWorkflow(mergeConfig({ failures: { workflows: [name] } }), run), true);
+            assert.equal(isWatchedWorkflow(mergeConfig({ failures: { ignore_workflows: [name] } }), run), false);
+        }
+        assert.equal(isWatchedWorkflow(mergeConfig({ failures: { workflows: ['release.yml'] } }), run), false);
+    });
+});
+
+describe('RepoConfigLoader', () => {
+    function github(content) {
+        return {
+            getOctokit: async () => ({
+                repos: {
+                    getContent: async () => {
+                        if (content === null) {
+                            throw Object.assign(new Error('Not Found'), { status: 404 });
+                        }
+                        if (content instanceof Error) {
+                            throw content;
+                        }
+                        return { data: { content: Buffer.from(content).toString('base64') } };
+                    }
+                }
+            })
+        };
+    }
+
+    it('layers the file between the central defaults and repository overrides', async () => {
+        const loader = new RepoConfigLoader(github('failures:\n  policy: auto_fix\n  rerun_jobs: failed\n'), new MemoryStore(), {
+            overrides: {
+                defaults: { failures: { policy: 'notify', auto_fix_min_confidence: 9 } },
+                repositories: { 'octo/app': { failures: { rerun_jobs: 'all' } } }
+            }
+        });
+        const config = await loader.load('octo', 'app', 'abc');
+
+        assert.equal(config.failures.policy, 'auto_fix');
+        assert.equal(config.failures.auto_fix_min_confidence, 9);
+        assert.equal(config.failures.rerun_jobs, 'all');
+    });
+
+    it('uses the defaults without a file', async () => {
+        const loader = new RepoConfigLoader(github(null), new MemoryStore());
+        assert.deepEqual(await loader.load('octo', 'app', 'abc'), mergeConfig());
+    });
+
+    it('throws server errors so the delivery is retried', async () => {
+        const loader = new RepoConfigLoader(github(Object.assign(new Error('Bad Gateway'), { status: 502 })), new MemoryStore());
+
+        await assert.rejects(loader.load('octo', 'app', 'abc'), { status: 502 });
+        assert.equal(await loader.cache.get('octo/app@abc'), undefined);
+    });
+
+    it('reports invalid files once per commit and uses the defaults', async () => {
+        const reports = [];
+        const loader = new RepoConfigLoader(github('failures:\n  policy: always\n'), new MemoryStore(), {
+            reporter: { reportConfigErrors: async (...args) => reports.push(args) }
+        });
+
+        assert.deepEqual(await loader.load('octo', 'app', 'abc'), mergeConfig());
+        await loader.load('octo', 'app', 'abc');
+        assert.equal(reports.length, 1);
+        assert.deepEqual(reports[0].slice(0, 4), ['octo', 'app', 'abc', '.github/ci-bot.yml']);
+    });
+
+    it('does not cache or report files read for a dry run', async () => {
+        const reports = [];
+        const loader = new RepoConfigLoader(github('failures:\n  policy: always\n'), new MemoryStore(), {
+            reporter: { reportConfigErrors: async (...args) => reports.push(args) }
+        });
+
+        await loader.load('octo', 'app', 'abc', { dryRun: true });
+        assert.equal(reports.length, 0);
+        assert.equal(await loader.cache.get('octo/app@abc'), undefined);
+    });
+});
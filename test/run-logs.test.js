@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { parseRunLogsArchive, extractFailingSections, parseLines } from '../src/run-logs.js';
+
+function archive(entries) {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(entries)) {
+        zip.addFile(name, Buffer.from(content));
+    }
+    return zip.toBuffer();
+}
+
+describe('parseLines', () => {
+    it('splits timestamps from the text and drops empty lines', () => {
+        const lines = parseLines('﻿2024-05-01T10:00:00.1234567Z Run npm test\r\n\r\nplain line\n');
+        assert.deepEqual(lines, [
+            { timestamp: '2024-05-01T10:00:00.1234567Z', text: 'Run npm test' },
+            { timestamp: null, text: 'plain line' }
+        ]);
+    });
+});
+
+describe('parseRunLogsArchive', () => {
+    it('groups job logs and step logs by job', () => {
+        const jobs = parseRunLogsArchive(archive({
+            '0_build.txt': '2024-05-01T10:00:00Z whole job',
+            'build/1_Set up job.txt': '2024-05-01T10:00:00Z setting up',
+            'build/3_Run tests.txt': '2024-05-01T10:00:01Z Error: 1 test failed',
+            'build/notes.md': 'ignored'
+        }));
+
+        assert.deepEqual(Object.keys(jobs), ['build']);
+        assert.deepEqual(jobs.build.lines.map(line => line.text), ['whole job']);
+        assert.deepEqual(jobs.build.steps['Run tests'], {
+            number: 3,
+            lines: [{ timestamp: '2024-05-01T10:00:01Z', text: 'Error: 1 test failed' }]
+        });
+    });
+});
+
+describe('extractFailingSections', () => {
+    const jobs = parseRunLogsArchive(archive({
+        '0_build (18.x).txt': 'build log',
+        'build (18.x)/1_Set up job.txt': 'setting up',
+        'build (18.x)/3_Run tests.txt': 'Error: 1 test failed',
+        '1_lint.txt': 'lint log\nError: 2 problems'
+    }));
+
+    it('renders only the failing steps under job/step headers', () => {
+        const sections = extractFailingSections(jobs, [
+            { name: 'build (18.x)', steps: [{ number: 3, name: 'Run tests' }] }
+        ]);
+        assert.equal(sections, '### Job: build (18.x) / Step: Run tests\nError: 1 test failed');
+    });
+
+    it('matches steps by name when their numbers differ', () => {
+        const sections = extractFailingSections(jobs, [
+            { name: 'build (18.x)', steps: [{ number: 7, name: 'Run tests' }] }
+        ]);
+        assert.match(sections, /Step: Run tests/);
+    });
+
+    it('falls back to the whole job log when no step log matches', () => {
+        const sections = extractFailingSections(jobs, [
+            { name: 'build (18.x)', steps: [] },
+            { name: 'lint', steps: [{ number: 2, name: 'Run lint' }] },
+            { name: 'deploy', steps: [] }
+        ]);
+        assert.equal(sections, '### Job: build (18.x)\nbuild log\n\n### Job: lint\nlint log\nError: 2 problems');
+    });
+
+    it('keeps only the tail of long step logs', () => {
+        const lines = Array.from({ length: 600 }, (_, index) => `line ${index}`).join('\n');
+        const longJobs = parseRunLogsArchive(archive({ 'test/1_Run.txt': lines }));
+        const [header, ...body] = extractFailingSections(longJobs, [{ name: 'test', steps: [{ number: 1, name: 'Run' }] }]).split('\n');
+
+        assert.equal(header, '### Job: test / Step: Run');
+        assert.equal(body.length, 500);
+        assert.equal(body[0], 'line 100');
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import SlackAdapter, { toBlockKit, toMrkdwn } from '../src/slack-adapter.js';
+
+const signingSecret = 'slack-secret';
+
+function signedRequest(rawBody, timestamp = Math.floor(Date.now() / 1000), secret = signingSecret) {
+    const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+    return {
+        headers: { 'x-slack-request-timestamp': String(timestamp), 'x-slack-signature': signature },
+        rawBody
+    };
+}
+
+describe('SlackAdapter.verify', () => {
+    const slack = new SlackAdapter({}, { signingSecret });
+    const rawBody = 'command=%2Fci-bot&text=help&user_id=U1&team_id=T1';
+
+    it('accepts requests signed with the signing secret', () => {
+        assert.equal(slack.verify(signedRequest(rawBody)), null);
+    });
+
+    it('rejects other secrets, changed bodies and missing signatures', () => {
+        assert.equal(slack.verify(signedRequest(rawBody, undefined, 'other')).error, 'Invalid signature');
+        assert.equal(slack.verify({ ...signedRequest(rawBody), rawBody: `${rawBody}&text=release` }).error, 'Invalid signature');
+        assert.equal(slack.verify({ headers: {}, rawBody }).error, 'Missing Slack signature');
+    });
+
+    it('rejects old requests as replays', () => {
+        const tenMinutesAgo = Math.floor(Date.now() / 1000) - 10 * 60;
+        assert.equal(slack.verify(signedRequest(rawBody, tenMinutesAgo)).error, 'Slack request timestamp too old');
+    });
+
+    it('rejects everything without a signing secret', () => {
+        assert.equal(new SlackAdapter({}).verify(signedRequest(rawBody)).status, 401);
+    });
+});
+
+describe('SlackAdapter.handleCommand', () => {
+    it('answers quick commands inline with the command as the reply prefix', async () => {
+        const calls = [];
+        const chat = {
+            handleMessage: async (text, userId, options) => {
+                calls.push([text, userId, options.commandPrefix]);
+                options.onEvent({ type: 'action', label: 'Release', command: 'confirm KQT482', style: 'primary' });
+                return 'Confirm the release';
+            }
+        };
+        const message = await new SlackAdapter(chat, { signingSecret }).handleCommand({
+            team_id: 'T1',
+            user_id: 'U1',
+            command: '/ci-bot',
+            text: 'release octo/app'
+        });
+
+        assert.deepEqual(calls, [['release octo/app', 'slack:T1:U1', '/ci-bot ']]);
+        assert.equal(message.response_type, 'in_channel');
+        assert.equal(message.blocks.at(-1).elements[0].value, 'confirm KQT482');
+    });
+});
+
+describe('toMrkdwn', () => {
+    it('converts bold and links and escapes control characters', () => {
+        assert.equal(toMrkdwn('**Run** [logs](https://x.test/1) a<b'), '*Run* <https://x.test/1|logs> a&lt;b');
+    });
+});
+
+describe('toBlockKit', () => {
+    it('splits long answers into sections of at most 3000 characters', () => {
+        const { blocks } = toBlockKit(`${'a'.repeat(2000)}\n\n${'b'.repeat(2000)}`);
+        assert.deepEqual(blocks.map(block => block.text.text.length), [2000, 2000]);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import createStore, { MemoryStore, JsonFileStore } from '../src/store.js';
+
+describe('StoreCollection', () => {
+    it('keeps namespaces apart', async () => {
+        const store = new MemoryStore();
+        await store.collection('a').set('key', 1);
+        await store.collection('b').set('key', 2);
+
+        assert.equal(await store.collection('a').get('key'), 1);
+        assert.equal(await store.collection('b').get('key'), 2);
+    });
+
+    it('treats expired records as missing and removes them on read', async () => {
+        const store = new MemoryStore();
+        const collection = store.collection('runs', { ttl: 1000 });
+        await collection.set('expired', 'old');
+        await collection.set('fresh', 'new', 60000);
+        store.data.runs.expired.expiresAt = Date.now() - 1;
+
+        assert.equal(await collection.get('expired'), undefined);
+        assert.equal(await collection.has('expired'), false);
+        assert.deepEqual(await collection.values(), ['new']);
+        assert.equal('expired' in store.data.runs, false);
+    });
+
+    it('keeps records without a TTL', async () => {
+        const collection = new MemoryStore().collection('sessions');
+        await collection.set('user', { id: 1 });
+
+        assert.deepEqual(await collection.get('user'), { id: 1 });
+        assert.deepEqual(await collection.entries(), [['user', { id: 1 }]]);
+    });
+
+    it('deletes records', async () => {
+        const collection = new MemoryStore().collection('runs');
+        await collection.set(1, 'run');
+
+        assert.equal(await collection.delete(1), true);
+        assert.equal(await collection.delete(1), false);
+        assert.equal(await collection.get(1), undefined);
+    });
+});
+
+describe('MemoryStore', () => {
+    it('prunes expired records of every namespace on a later write', async () => {
+        const store = new MemoryStore();
+        await store.collection('deliveries', { ttl: 1000 }).set('guid', true);
+        await store.collection('events', { ttl: 1000 }).set('event', true);
+        store.data.deliveries.guid.expiresAt = Date.now() - 1;
+        store.data.events.event.expiresAt = Date.now() - 1;
+
+        await store.collection('other').set('key', 1);
+        assert.equal('guid' in store.data.deliveries, true);
+
+        store.lastPruned -= 2 * 60 * 1000;
+        await store.collection('other').set('key', 2);
+        assert.deepEqual(store.data.deliveries, {});
+        assert.deepEqual(store.data.events, {});
+    });
+});
+
+describe('JsonFileStore', () => {
+    let dir;
+
+    afterEach(async () => {
+        if (dir) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('persists records across instances and drops expired ones on load', async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ci-bot-store-'));
+        const filePath = path.join(dir, 'store.json');
+
+        const store = new JsonFileStore(filePath);
+        await store.collection('runs').set('kept', { id: 1 });
+        await store.collection('runs', { ttl: 1000 }).set('expired', { id: 2 });
+        store.data.runs.expired.expiresAt = Date.now() - 1;
+        await store.persist();
+
+        const reloaded = new JsonFileStore(filePath);
+        assert.deepEqual(await reloaded.collection('runs').get('kept'), { id: 1 });
+        assert.deepEqual(Object.keys(reloaded.data.runs), ['kept']);
+    });
+
+    it('saves concurrent writes with one file write', async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ci-bot-store-'));
+        const filePath = path.join(dir, 'store.json');
+        const store = new JsonFileStore(filePath);
+        const collection = store.collection('queue');
+
+        await collection.set('first', 1);
+        const writes = [];
+        const persist = store.persist.bind(store);
+        store.persist = () => {
+            const write = persist();
+            if (!writes.includes(write)) {
+                writes.push(write);
+            }
+            return write;
+        };
+
+        await Promise.all([collection.set('a', 1), collection.set('b', 2), collection.set('c', 3)]);
+        assert.equal(writes.length, 1);
+        assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(filePath, 'utf8')).queue), ['first', 'a', 'b', 'c']);
+    });
+
+    it('moves a corrupt file aside instead of overwriting it', async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ci-bot-store-'));
+        const filePath = path.join(dir, 'store.json');
+        await fs.writeFile(filePath, '{"runs": {"1": {"value"');
+
+        const errors = [];
+        const store = new JsonFileStore(filePath, { logger: { log() {}, error: message => errors.push(message) } });
+        await store.collection('runs').set('2', { id: 2 });
+        await store.persist();
+
+        const files = (await fs.readdir(dir)).sort();
+        assert.equal(files.length, 2);
+        assert.match(files[1], /^store\.json\.corrupt-\d+$/);
+        assert.equal(await fs.readFile(path.join(dir, files[1]), 'utf8'), '{"runs": {"1": {"value"');
+        assert.match(errors[0], /is not valid JSON/);
+        assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(filePath, 'utf8')).runs), ['2']);
+    });
+
+    it('fails reads it cannot load and tries again on the next one', async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ci-bot-store-'));
+        // A directory where the file should be cannot be read as one
+        const filePath = path.join(dir, 'store.json');
+        await fs.mkdir(filePath);
+
+        const store = new JsonFileStore(filePath);
+        await assert.rejects(store.collection('runs').get('1'), { code: 'EISDIR' });
+
+        await fs.rmdir(filePath);
+        assert.equal(await store.collection('runs').get('1'), undefined);
+    });
+});
+
+describe('createStore', () => {
+    it('builds the configured backend', () => {
+        assert.ok(createStore({ driver: 'memory' }) instanceof MemoryStore);
+        assert.ok(createStore({ driver: 'json', path: 'unused.json' }) instanceof JsonFileStore);
+        assert.throws(() => createStore({ driver: 'redis' }), /Unknown store driver: redis/);
+    });
+
+    it('returns custom backends as they are', () => {
+        const driver = { read() {}, write() {}, remove() {}, list() {} };
+        assert.equal(createStore({ driver }), driver);
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import axios from 'axios';
+import TeamsAdapter, { toAdaptiveCard } from '../src/teams-adapter.js';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const signingKey = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', endorsements: ['msteams'] };
+
+const serviceUrl = 'https://smba.trafficmanager.net/emea/';
+
+function sign(claims, header = { alg: 'RS256', kid: 'key-1' }) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signed = `${encode(header)}.${encode(claims)}`;
+    return `${signed}.${crypto.sign('RSA-SHA256', Buffer.from(signed), privateKey).toString('base64url')}`;
+}
+
+function validClaims(overrides = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+        iss: 'https://api.botframework.com',
+        aud: 'app-id',
+        exp: now + 3600,
+        nbf: now - 60,
+        serviceurl: serviceUrl,
+        ...overrides
+    };
+}
+
+function request(token, body = { channelId: 'msteams', serviceUrl }) {
+    return { headers: { authorization: `Bearer ${token}` }, body };
+}
+
+function adapter(config = { appId: 'app-id', appPassword: 'secret' }) {
+    const teams = new TeamsAdapter({}, config);
+    teams.getSigningKey = async kid => (kid === signingKey.kid ? signingKey : null);
+    return teams;
+}
+
+describe('TeamsAdapter.verify', () => {
+    it('accepts tokens signed by the Bot Framework for the bot', async () => {
+        assert.equal(await adapter().verify(request(sign(validClaims()))), null);
+    });
+
+    it('rejects missing, malformed and unsigned tokens', async () => {
+        const teams = adapter();
+        assert.equal((await teams.verify({ headers: {}, body: {} })).error, 'Missing bearer token');
+        assert.equal((await teams.verify(request('a.b.c'))).error, 'Malformed token');
+
+        const [header, claims] = sign(validClaims()).split('.');
+        const forged = `${header}.${claims}.${crypto.randomBytes(256).toString('base64url')}`;
+        assert.equal((await teams.verify(request(forged))).error, 'Invalid token signature');
+        assert.match((await teams.verify(request(sign(validClaims(), { alg: 'none', kid: 'key-1' })))).error, /algorithm none/);
+        assert.match((await teams.verify(request(sign(validClaims(), { alg: 'RS256', kid: 'other' })))).error, /Unknown signing key/);
+    });
+
+    it('rejects tokens for another bot, expired tokens and other channels', async () => {
+        const teams = adapter();
+        const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+
+        assert.equal((await teams.verify(request(sign(validClaims({ aud: 'other-app' }))))).status, 401);
+        assert.equal((await teams.verify(request(sign(validClaims({ exp: hourAgo }))))).error, 'Token expired');
+        assert.match((await teams.verify(request(sign(validClaims()), { channelId: 'slack', serviceUrl }))).error, /not endorsed/);
+    });
+
+    it('requires the token to name the activity\'s service URL', async () => {
+        const teams = adapter();
+        const wrongUrl = { channelId: 'msteams', serviceUrl: 'https://attacker.example/' };
+
+        assert.equal((await teams.verify(request(sign(validClaims({ serviceurl: undefined }))))).status, 401);
+        assert.equal((await teams.verify(request(sign(validClaims()), wrongUrl))).status, 401);
+    });
+
+    it('refuses to skip token checks when app credentials are configured', () => {
+        assert.throws(
+            () => new TeamsAdapter({}, { appId: 'app-id', appPassword: 'secret', allowUnauthenticated: true }),
+            /TEAMS_ALLOW_UNAUTHENTICATED/
+        );
+        assert.equal(new TeamsAdapter({}, { allowUnauthenticated: true }).allowUnauthenticated, true);
+    });
+});
+
+describe('TeamsAdapter.handleActivity', () => {
+    const post = axios.post;
+    afterEach(() => {
+        axios.post = post;
+    });
+
+    it('answers card submits and replies without a token when unauthenticated', async () => {
+        const posts = [];
+        axios.post = async (url, body, options) => posts.push({ url, body, options });
+        const messages = [];
+        const chat = {
+            handleMessage: async (text, userId) => {
+                messages.push([text, userId]);
+                return '**Done**';
+            }
+        };
+
+        const teams = new TeamsAdapter(chat, { allowUnauthenticated: true });
+        await teams.handleActivity({
+            type: 'message',
+            id: 'activity-1',
+            value: { command: 'confirm KQT482' },
+            serviceUrl,
+            conversation: { id: 'conversation-1', tenantId: 'tenant' },
+            from: { id: 'user-1', aadObjectId: 'aad-1' },
+            recipient: { id: 'bot' }
+        });
+
+        assert.deepEqual(messages, [['confirm KQT482', 'teams:tenant:aad-1']]);
+        assert.equal(posts[0].url, `${serviceUrl}v3/conversations/conversation-1/activities/activity-1`);
+        assert.deepEqual(posts[0].options.headers, {});
+    });
+});
+
+describe('toAdaptiveCard', () => {
+    it('renders lines as text blocks and actions as submit buttons', () => {
+        const card = toAdaptiveCard('Title\n\nfirst\nsecond', [
+            { label: 'Rerun', command: 'confirm KQT482', style: 'primary' }
+        ]);
+
+        assert.deepEqual(card.body.map(block => [block.text, block.spacing]), [
+            ['Title', undefined],
+            ['first', undefined],
+            ['second', 'None']
+        ]);
+        assert.deepEqual(card.actions[0], {
+            type: 'Action.Submit',
+            title: 'Rerun',
+            data: { command: 'confirm KQT482' },
+            style: 'positive'
+        });
+    });
+});
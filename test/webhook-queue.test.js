@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import WebhookQueue from '../src/webhook-queue.js';
+import { MemoryStore } from '../src/store.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+const options = { concurrency: 1, maxAttempts: 3, baseDelay: 5, maxDelay: 20 };
+
+function transientError() {
+    return Object.assign(new Error('Bad Gateway'), { status: 502 });
+}
+
+async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the queue');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+function queue(handler, store = new MemoryStore()) {
+    return new WebhookQueue(handler, { store, options, logger: quiet });
+}
+
+describe('WebhookQueue', () => {
+    it('processes queued deliveries and logs them', async () => {
+        const handled = [];
+        const webhooks = queue(async delivery => handled.push([delivery.id, delivery.event, delivery.attempts]));
+
+        await webhooks.enqueue({ id: 'd1', event: 'push', payload: { ref: 'refs/heads/main' } });
+        await waitFor(async () => (await webhooks.getDeliveryRecord('d1')).status === 'processed');
+
+        assert.deepEqual(handled, [['d1', 'push', 1]]);
+        assert.equal((await webhooks.stats()).pending, 0);
+    });
+
+    it('retries transient errors until the handler succeeds', async () => {
+        const attempts = [];
+        const webhooks = queue(async delivery => {
+            attempts.push(delivery.attempts);
+            if (attempts.length < 3) {
+                throw transientError();
+            }
+        });
+
+        await webhooks.enqueue({ id: 'd1', event: 'push', payload: {} });
+        await waitFor(async () => (await webhooks.getDeliveryRecord('d1')).status === 'processed');
+
+        assert.deepEqual(attempts, [1, 2, 3]);
+        assert.deepEqual(await webhooks.listDeadLetters(), []);
+    });
+
+    it('dead-letters other errors at once and transient errors after the last attempt', async () => {
+        let calls = 0;
+        const webhooks = queue(async delivery => {
+            calls++;
+            throw delivery.id === 'bad' ? new Error('Cannot read properties of undefined') : transientError();
+        });
+
+        await webhooks.enqueue({ id: 'bad', event: 'push', payload: { action: 'x' } });
+        await waitFor(async () => Boolean(await webhooks.getDeadLetter('bad')));
+        assert.equal(calls, 1);
+
+        await webhooks.enqueue({ id: 'down', event: 'push', payload: {} });
+        await waitFor(async () => Boolean(await webhooks.getDeadLetter('down')));
+        assert.equal(calls, 4);
+
+        const [down, bad] = await webhooks.listDeadLetters();
+        assert.deepEqual([down.id, down.attempts, down.transient], ['down', 3, true]);
+        assert.deepEqual([bad.id, bad.attempts, bad.transient, bad.action], ['bad', 1, false, 'x']);
+        assert.equal(bad.payload, undefined);
+        assert.equal((await webhooks.getDeliveryRecord('bad')).status, 'dead_letter');
+    });
+
+    it('replays dead letters with a fresh attempt count', async () => {
+        let fail = true;
+        const attempts = [];
+        const webhooks = queue(async delivery => {
+            attempts.push(delivery.attempts);
+            if (fail) {
+                throw new Error('Not yet');
+            }
+        });
+
+        await webhooks.enqueue({ id: 'd1', event: 'push', payload: {} });
+        await waitFor(async () => Boolean(await webhooks.getDeadLetter('d1')));
+
+        fail = false;
+        assert.equal((await webhooks.replayDeadLetter('d1')).id, 'd1');
+        await waitFor(async () => (await webhooks.getDeliveryRecord('d1')).status === 'processed');
+
+        assert.deepEqual(attempts, [1, 1]);
+        assert.equal(await webhooks.getDeadLetter('d1'), undefined);
+        assert.equal(await webhooks.replayDeadLetter('unknown'), null);
+    });
+
+    it('stops running a delivery whose outcome cannot be recorded', async () => {
+        // Removing the finished delivery fails after every attempt, as if the store were
+        // down whenever the handler has run
+        const store = new MemoryStore();
+        const remove = store.remove.bind(store);
+        let failedRemoves = 0;
+        store.remove = async (namespace, key) => {
+            if (namespace === 'webhook-queue' && failedRemoves < options.maxAttempts) {
+                failedRemoves++;
+                throw new Error('disk full');
+            }
+            return remove(namespace, key);
+        };
+
+        let calls = 0;
+        const webhooks = queue(async () => {
+            calls++;
+        }, store);
+
+        await webhooks.enqueue({ id: 'd1', event: 'push', payload: {} });
+        await waitFor(async () => Boolean(await webhooks.getDeadLetter('d1')));
+
+        assert.equal(calls, options.maxAttempts);
+        assert.equal((await webhooks.getDeadLetter('d1')).last_error, 'Outcome of the last attempt was not recorded');
+    });
+
+    it('resumes deliveries left by a previous process', async () => {
+        const store = new MemoryStore();
+        await store.collection('webhook-queue').set('d1', {
+            id: 'd1',
+            event: 'push',
+            payload: {},
+            attempts: 0,
+            next_attempt_at: Date.now(),
+            last_error: null
+        });
+
+        const handled = [];
+        const webhooks = queue(async delivery => handled.push(delivery.id), store);
+        assert.equal(await webhooks.start(), 1);
+        await waitFor(async () => handled.length === 1);
+    });
+});
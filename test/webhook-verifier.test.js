@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import WebhookVerifier from '../src/webhook-verifier.js';
+
+const BODY = '{"action":"completed"}';
+
+function sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function request(secret = 'current', deliveryId = 'delivery-1', body = BODY) {
+    return {
+        rawBody: body,
+        headers: {
+            'x-hub-signature-256': sign(body, secret),
+            'x-github-delivery': deliveryId
+        }
+    };
+}
+
+describe('WebhookVerifier', () => {
+    it('accepts bodies signed with any configured secret', async () => {
+        const verifier = new WebhookVerifier({ secrets: ['current', 'previous', ''] });
+
+        assert.equal(await verifier.verify(request('current', 'a')), null);
+        assert.equal(await verifier.verify(request('previous', 'b')), null);
+    });
+
+    it('rejects missing, malformed and wrong signatures', async () => {
+        const verifier = new WebhookVerifier({ secrets: ['current'] });
+        const invalid = { status: 401, error: 'Invalid signature' };
+
+        assert.deepEqual(await verifier.verify(request('other')), invalid);
+        assert.deepEqual(await verifier.verify({ ...request(), rawBody: '{"action":"requested"}' }), invalid);
+        assert.deepEqual(await verifier.verify({ rawBody: BODY, headers: { 'x-github-delivery': 'a' } }), invalid);
+        assert.equal(verifier.verifySignature(BODY, 'sha1=abc'), false);
+        assert.equal(verifier.verifySignature(BODY, 'sha256=short'), false);
+    });
+
+    it('rejects every request without a secret', async () => {
+        const verifier = new WebhookVerifier({ secrets: [undefined] });
+        assert.deepEqual(await verifier.verify(request()), { status: 401, error: 'Webhook secret not configured' });
+    });
+
+    it('requires a delivery id', async () => {
+        const verifier = new WebhookVerifier({ secrets: ['current'] });
+        const req = request();
+        delete req.headers['x-github-delivery'];
+
+        assert.deepEqual(await verifier.verify(req), { status: 400, error: 'Missing X-GitHub-Delivery header' });
+    });
+
+    it('rejects deliveries that were already queued', async () => {
+        const verifier = new WebhookVerifier({ secrets: ['current'] });
+
+        assert.equal(await verifier.verify(request()), null);
+        await verifier.registerDelivery('delivery-1');
+
+        assert.deepEqual(await verifier.verify(request()), {
+            status: 409,
+            error: 'Delivery delivery-1 was already queued'
+        });
+        assert.equal(await verifier.verify(request('current', 'delivery-2')), null);
+    });
+
+    it('accepts redeliveries of deliveries that were not queued or were forgotten', async () => {
+        const verifier = new WebhookVerifier({ secrets: ['current'] });
+
+        assert.equal(await verifier.verify(request()), null);
+        assert.equal(await verifier.verify(request()), null);
+
+        await verifier.registerDelivery('delivery-1');
+        await verifier.forgetDelivery('delivery-1');
+        assert.equal(await verifier.verify(request()), null);
+    });
+
+    it('accepts a delivery id again after the replay window', async () => {
+        const verifier = new WebhookVerifier({ secrets: ['current'], replayWindow: 1000 });
+        await verifier.registerDelivery('delivery-1');
+        verifier.deliveries.store.data.deliveries['delivery-1'].expiresAt = Date.now() - 1;
+
+        assert.equal(await verifier.verify(request()), null);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDispatchInputs, validateDispatchInputs } from '../src/workflow-inputs.js';
+
+describe('parseDispatchInputs', () => {
+    it('reads the declared inputs', () => {
+        const inputs = parseDispatchInputs(`
+on:
+  push:
+  workflow_dispatch:
+    inputs:
+      environment:
+        type: choice
+        options: [staging, production]
+        required: true
+`);
+        assert.deepEqual(inputs, {
+            environment: { type: 'choice', options: ['staging', 'production'], required: true }
+        });
+    });
+
+    it('returns no inputs for workflow_dispatch without a declaration', () => {
+        assert.deepEqual(parseDispatchInputs('on: workflow_dispatch'), {});
+        assert.deepEqual(parseDispatchInputs('on: [push, workflow_dispatch]'), {});
+        assert.deepEqual(parseDispatchInputs('on:\n  workflow_dispatch:\n'), {});
+    });
+
+    it('returns null for workflows that cannot be dispatched', () => {
+        assert.equal(parseDispatchInputs('on: push'), null);
+        assert.equal(parseDispatchInputs('on: [push, pull_request]'), null);
+        assert.equal(parseDispatchInputs('on:\n  push:\n    branches: [main]\n'), null);
+        assert.equal(parseDispatchInputs(''), null);
+    });
+});
+
+describe('validateDispatchInputs', () => {
+    const declared = {
+        artifact_id: { required: true },
+        debug: { type: 'boolean' },
+        replicas: { type: 'number' },
+        environment: { type: 'choice', options: ['staging', 'production'] },
+        region: { required: true, default: 'eu' }
+    };
+
+    it('converts valid values to strings', () => {
+        const result = validateDispatchInputs(declared, {
+            artifact_id: 'a1',
+            debug: true,
+            replicas: 3,
+            environment: 'staging'
+        });
+
+        assert.deepEqual(result, {
+            inputs: { artifact_id: 'a1', debug: 'true', replicas: '3', environment: 'staging' },
+            errors: []
+        });
+    });
+
+    it('checks values against their declared types', () => {
+        const { errors } = validateDispatchInputs(declared, {
+            artifact_id: 'a1',
+            debug: 'yes',
+            replicas: 'many',
+            environment: 'qa'
+        });
+
+        assert.deepEqual(errors, [
+            'Input "debug" must be true or false',
+            'Input "replicas" must be a number',
+            'Input "environment" must be one of: staging, production'
+        ]);
+    });
+
+    it('rejects unknown inputs and missing required ones without defaults', () => {
+        const { errors } = validateDispatchInputs(declared, { colour: 'blue' });
+        assert.deepEqual(errors, ['Unknown input "colour"', 'Missing required input "artifact_id"']);
+    });
+
+    it('limits inputs to the allow-list', () => {
+        const { inputs, errors } = validateDispatchInputs(declared, { artifact_id: 'a1', debug: 'true' }, ['artifact_id']);
+
+        assert.deepEqual(inputs, { artifact_id: 'a1' });
+        assert.deepEqual(errors, ['Input "debug" is not allowed for this repository']);
+    });
+});